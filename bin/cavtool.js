@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+/**
+ * CAVTool Command Line
+ * Runs CAV scripts without a browser, using the same parser and engine as the web tool
+ *
+ *   cavtool run aimd.cav miad.cav --start 0.2,0.7 --steps 500 --rtt 1,3 --json
+ *   cavtool lint my-script.cav
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { SimulationEngine } from '../js/simulation.js';
+import { ScriptLibrary } from '../js/script-library.js';
+import { DEFAULT_TOLERANCE } from '../js/metrics.js';
+import { runDocument, runToCSV } from '../js/export.js';
+import { lintScript } from '../js/linter.js';
+import { formatError } from '../js/errors.js';
+
+const BUILTIN_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'scripts');
+
+const USAGE = `Usage: cavtool run <script.cav>... [options]
+       cavtool lint <script.cav>...
+
+run: runs one flow per script, sender 0 first.
+lint: reports problems in the scripts without running them, one per line as
+file:line:column: severity: message. Exits with 1 if there are errors.
+
+Scripts are read from the given path, or from the built-in scripts if no
+such file exists.
+
+Options:
+  --start r0,r1,...    Start rate per flow (default 0)
+  --steps n            Simulated time, in steps (default 50)
+  --rtt t0,t1,...      Round trip time per flow, in steps; fractions allowed (default 1)
+  --jitter j           Vary every round's RTT at random by up to this fraction
+  --weights w0,w1,...  Fair-share weight per flow (default 1)
+  --capacity spec      Link capacity: 1.5 | steps:0=1,50=0.6 | sine:1,0.3,40
+  --buffer b           Bottleneck buffer in rate x steps (default 0: no queue)
+  --flows n            Number of flows; flows without a script run the last one
+  --loss p             Probability of a random loss at any load (default 0)
+  --red r              Excess load at which loss becomes certain (default 0: always
+                       a loss when the link is overloaded)
+  --noise s            Relative standard deviation of the measured traffic
+  --delay d0,d1,...    Feedback delay per flow on top of its RTT (default 0)
+  --seed n             Seed for losses, noise and random() (default: new every run)
+  --tolerance t        Converged band of the metrics (default ${DEFAULT_TOLERANCE})
+  --loop-limit n       Loop iterations and function calls a script may run per step
+  --json               Write the trajectory and metrics as JSON (default)
+  --csv                Write the trajectory as CSV, then a blank line and the metrics
+  -h, --help           Show this help
+
+A single value in a list applies to every flow.`;
+
+const OPTIONS = {
+    start: { type: 'string' },
+    steps: { type: 'string' },
+    rtt: { type: 'string' },
+    jitter: { type: 'string' },
+    weights: { type: 'string' },
+    capacity: { type: 'string' },
+    buffer: { type: 'string' },
+    flows: { type: 'string' },
+    loss: { type: 'string' },
+    red: { type: 'string' },
+    noise: { type: 'string' },
+    delay: { type: 'string' },
+    seed: { type: 'string' },
+    tolerance: { type: 'string' },
+    'loop-limit': { type: 'string' },
+    json: { type: 'boolean' },
+    csv: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Read a script from a path, falling back to the built-in scripts
+ */
+function readScript(name) {
+    if (existsSync(name)) {
+        return readFileSync(name, 'utf8');
+    }
+    const builtin = join(BUILTIN_DIR, ScriptLibrary.normalizeName(name));
+    if (existsSync(builtin)) {
+        return readFileSync(builtin, 'utf8');
+    }
+    throw new Error(`Script not found: ${name}`);
+}
+
+function parseNumber(text, option) {
+    const value = Number(text);
+    if (text === undefined || text.trim() === '' || isNaN(value)) {
+        throw new Error(`--${option} expects a number, got '${text}'`);
+    }
+    return value;
+}
+
+/**
+ * Parse a comma-separated list with one value per flow, or a single value for all
+ */
+function parseList(text, option, count, fallback) {
+    if (text === undefined) return new Array(count).fill(fallback);
+    const values = text.split(',').map(v => parseNumber(v, option));
+    if (values.length === 1) return new Array(count).fill(values[0]);
+    if (values.length !== count) {
+        throw new Error(`--${option} needs 1 or ${count} values, got ${values.length}`);
+    }
+    return values;
+}
+
+/**
+ * Configure an engine from the command line and run it
+ * @returns {Object} - Result document: settings, metrics, errors and trajectory
+ */
+function runCommand(scriptNames, options) {
+    if (scriptNames.length === 0) {
+        throw new Error('No scripts given');
+    }
+
+    const sources = scriptNames.map(readScript);
+    const flows = options.flows !== undefined ? parseNumber(options.flows, 'flows') : sources.length;
+    if (!Number.isInteger(flows) || flows < 1) {
+        throw new Error('--flows must be a positive integer');
+    }
+
+    const engine = new SimulationEngine(flows);
+    if (options['loop-limit'] !== undefined) {
+        engine.setIterationLimit(parseNumber(options['loop-limit'], 'loop-limit'));
+    }
+    if (options.steps !== undefined) {
+        engine.setDuration(parseNumber(options.steps, 'steps'));
+    }
+    if (options.capacity !== undefined) {
+        engine.setCapacity(options.capacity);
+    }
+    if (options.buffer !== undefined) {
+        engine.setBufferSize(parseNumber(options.buffer, 'buffer'));
+    }
+
+    const scripts = [];
+    for (let i = 0; i < flows; i++) {
+        const index = Math.min(i, sources.length - 1);
+        engine.setScript(i, sources[index]);
+        scripts.push(scriptNames[index]);
+    }
+    parseList(options.rtt, 'rtt', flows, 1).forEach((rtt, i) => engine.setRTT(i, rtt));
+    if (options.jitter !== undefined) {
+        engine.setRTTJitter(parseNumber(options.jitter, 'jitter'));
+    }
+    parseList(options.weights, 'weights', flows, 1).forEach((w, i) => engine.setWeight(i, w));
+    engine.setStartRates(parseList(options.start, 'start', flows, 0));
+    engine.setFeedback({
+        seed: options.seed !== undefined ? parseNumber(options.seed, 'seed') : null,
+        randomLoss: options.loss !== undefined ? parseNumber(options.loss, 'loss') : 0,
+        redRange: options.red !== undefined ? parseNumber(options.red, 'red') : 0,
+        noise: options.noise !== undefined ? parseNumber(options.noise, 'noise') : 0,
+        delays: parseList(options.delay, 'delay', flows, 0)
+    });
+
+    const tolerance = options.tolerance !== undefined ? parseNumber(options.tolerance, 'tolerance') : DEFAULT_TOLERANCE;
+    const { errors } = engine.runHeadless();
+    const { trajectory, ...settings } = runDocument(engine, { scripts, tolerance });
+
+    return { ...settings, errors, trajectory };
+}
+
+/**
+ * Print the lint findings of each script
+ * @returns {number} - Exit code: 1 if any script has errors
+ */
+function lintCommand(scriptNames) {
+    if (scriptNames.length === 0) {
+        throw new Error('No scripts given');
+    }
+
+    let errors = 0;
+    scriptNames.forEach(name => {
+        lintScript(readScript(name)).forEach(({ line, column, severity, message }) => {
+            if (severity === 'error') errors++;
+            console.log(`${name}:${line ?? 0}:${column ?? 0}: ${severity}: ${message}`);
+        });
+    });
+    return errors > 0 ? 1 : 0;
+}
+
+function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (e) {
+        console.error(`cavtool: ${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const [command, ...scriptNames] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        console.log(USAGE);
+        return parsed.values.help ? 0 : 2;
+    }
+    if (command === 'lint') {
+        try {
+            return lintCommand(scriptNames);
+        } catch (e) {
+            console.error(`cavtool: ${e.message}`);
+            return 2;
+        }
+    }
+    if (command !== 'run') {
+        console.error(`cavtool: unknown command '${command}'\n\n${USAGE}`);
+        return 2;
+    }
+
+    let result;
+    try {
+        result = runCommand(scriptNames, parsed.values);
+    } catch (e) {
+        console.error(`cavtool: ${e.message}`);
+        return 2;
+    }
+
+    process.stdout.write(parsed.values.csv ? runToCSV(result) : JSON.stringify(result, null, 2) + '\n');
+
+    // Report each script error once, with the first update it occurred at
+    const reported = new Set();
+    result.errors.forEach(({ step, time, ...error }) => {
+        const text = formatError(error);
+        if (!reported.has(text)) {
+            reported.add(text);
+            console.error(`[ERR] step ${step} (t = ${time}): ${text}`);
+        }
+    });
+    return result.errors.length > 0 ? 1 : 0;
+}
+
+// Stop quietly when the output is piped into e.g. head
+process.stdout.on('error', (e) => {
+    if (e.code === 'EPIPE') process.exit(process.exitCode ?? 0);
+    throw e;
+});
+
+process.exitCode = main(process.argv.slice(2));
@@ -3,78 +3,48 @@
  * Wires together the UI, simulation engine, and visualization
  */
 
-import { SimulationEngine } from './simulation.js';
-import { CanvasVisualization, TimelineVisualization } from './visualization.js';
-
-// Default scripts
-const DEFAULT_SCRIPTS = {
-    'aimd.cav': `#define_param alpha range 0.1 to 1   default 0.1
-#define_param beta  range 0.1 to 0.9 default 0.5
-maxrate = 1.0;
-
-if(traffic > 1){
-    rate = rate * beta;
-}
-else{
-    rate = rate + alpha;
-    rate = min(rate, maxrate);
-}`,
-
-    'aiad.cav': `#define_param a range 0.1 to 0.9 default 0.2
-#define_param b range 0.1 to 0.9 default 0.3
-maxrate = 1.0;
-minrate = 0.0;
-
-if(traffic > 1){
-    rate = rate - b;
-    rate = max(rate, minrate);
-}
-else{
-    rate = rate + a;
-    rate = min(rate, maxrate);
-}`,
-
-    'mimd.cav': `#define_param a range 0.1 to 2.0 default 1.2
-#define_param b range 0.1 to 0.9 default 0.5
-maxrate = 1.0;
-
-if(traffic > 1){
-    rate = rate * b;
-}
-else{
-    rate = rate * a;
-    rate = min(rate, maxrate);
-}`,
-
-    'miad.cav': `#define_param a range 0.1 to 2.0 default 1.2
-#define_param b range 0.1 to 0.9 default 0.3
-maxrate = 1.0;
-minrate = 0.0;
-
-if(traffic > 1){
-    rate = rate - b;
-    rate = max(rate, minrate);
-}
-else{
-    rate = rate * a;
-    rate = min(rate, maxrate);
-}`,
-
-    'cadpc.cav': `#define_param a range 0.1 to 1 default 0.5
-maxrate = 1.0;
-minrate = 0.0;
-
-rate = rate * a * (1 - rate - traffic) + rate;
-rate = max(minrate, min(maxrate, rate));`
-};
+import { SimulationEngine, MIN_RTT } from './simulation.js';
+import { CanvasVisualization, TimelineVisualization, HeatmapVisualization, drawWithContext } from './visualization.js';
+import { ScriptLibrary } from './script-library.js';
+import { ScriptEditor } from './editor.js';
+import { formatDiagnostic, lintScript } from './linter.js';
+import { formatError } from './errors.js';
+import { ScriptParser, scriptMetadata } from './parser.js';
+import { downloadBlob, downloadText, readFileText } from './files.js';
+import { summarizeMetrics, DEFAULT_TOLERANCE } from './metrics.js';
+import { SWEEP_OUTCOMES, paramGridValues, runSweep, sweepOutcome } from './sweep.js';
+import { gridPoints, runPhasePortrait } from './portrait.js';
+import { RunHistory } from './runs.js';
+import { EXPERIMENT_HASH_KEY, EXPERIMENT_VERSION, decodeExperiment, encodeExperiment,
+    normalizeExperiment, parseExperiment } from './experiment.js';
+import { runDocument, runToCSV } from './export.js';
+import { SvgContext } from './svg.js';
+import { RECORDING_FORMATS, recordFrames } from './recorder.js';
 
 class CAVToolApp {
     constructor() {
         this.engine = new SimulationEngine();
+        this.library = new ScriptLibrary();
+        this.editors = {}; // senderIndex -> ScriptEditor
+        this.activeScripts = {}; // senderIndex -> name of the loaded library script
         this.canvas = null;
         this.timeline = null;
+        this.heatmap = null;
+        this.sweep = null; // Result of the last parameter sweep
+        this.activeRun = null; // Promise of the running simulation
+        this.portrait = null; // Runs of the phase portrait on the canvas, if shown
+        this.runs = new RunHistory(); // Completed runs shown for comparison
         this.terminalOutput = [];
         this.syncEnabled = true;
+        this.metricsTolerance = DEFAULT_TOLERANCE; // Converged band for the metrics panel
+        this.recording = false; // A finished run is being encoded as an animation
+        this.lintedSources = {}; // senderIndex -> script source whose lint findings were logged
+        this.currentRun = null; // Stored run that moving a slider re-runs
+        this.rerunFrame = null; // Pending re-run after a slider moved
+        this.liveFrame = null; // Pending redraw of a running simulation's diagram, timeline and metrics
+        this.liveRedraw = false; // The pending redraw repaints the whole diagram
+        this.rerunError = null; // Last error logged by a re-run, to log it once per drag
+        this.extraFlows = []; // Flows 3 and up: { script: { name, source } | null, rtt, start }, null = default
 
         // UI state
         this.params = {
@@ -82,15 +52,18 @@ class CAVToolApp {
             sender1: {}
         };
 
-        this.init();
+        this.ready = this.init();
     }
 
-    init() {
+    async init() {
         this.setupCanvas();
         this.setupUI();
-        this.loadDefaultScripts();
+        await this.loadDefaultScripts();
         this.log('[SYS] CAVTool Web initialized');
         this.log('[OK] Ready for congestion simulation.');
+
+        // A shared link replays its experiment
+        await this.loadExperimentFromHash();
     }
 
     setupCanvas() {
@@ -98,10 +71,14 @@ class CAVToolApp {
         const mainCanvas = document.getElementById('main-canvas');
         if (mainCanvas) {
             this.canvas = new CanvasVisualization(mainCanvas);
+            this.canvas.setOptimum(this.engine.optimumAt(0));
             this.canvas.init();
 
             // Click handler for starting simulation
             mainCanvas.addEventListener('click', (e) => this.handleCanvasClick(e));
+
+            // Hovering a point of a debugged run shows that step's snapshot
+            mainCanvas.addEventListener('mousemove', (e) => this.handleCanvasHover(e));
         } else {
             console.error('Main canvas not found');
         }
@@ -117,6 +94,16 @@ class CAVToolApp {
                 }
             });
         }
+
+        // Series shown on the timeline
+        document.querySelectorAll('#timeline-series input[data-series]').forEach(input => {
+            input.addEventListener('change', () => {
+                if (this.timeline) {
+                    this.timeline.setSeries(this.selectedTimelineSeries());
+                    this.refreshTimeline();
+                }
+            });
+        });
     }
 
     createTimeline() {
@@ -126,10 +113,69 @@ class CAVToolApp {
             const timelineCanvas = document.getElementById('timeline-canvas');
             if (timelineCanvas) {
                 this.timeline = new TimelineVisualization(timelineCanvas);
+                this.timeline.setSeries(this.selectedTimelineSeries());
+                this.updateSeriesLabels();
+                this.refreshTimeline();
             }
         }
     }
 
+    selectedTimelineSeries() {
+        return [...document.querySelectorAll('#timeline-series input[data-series]')]
+            .filter(input => input.checked)
+            .map(input => input.dataset.series);
+    }
+
+    /**
+     * Name the two rate series after what the diagram plots: the selected
+     * pair of flows, or the Jain index and the total load in the projection
+     */
+    updateSeriesLabels() {
+        const { mode, x, y } = this.canvas.view;
+        const labels = mode === 'pair'
+            ? { user1: this.flowLabel(y), user2: this.flowLabel(x) }
+            : { user1: 'Jain index', user2: 'Total load' };
+
+        Object.entries(labels).forEach(([key, label]) => {
+            const span = document.querySelector(`#timeline-series input[data-series="${key}"]`)?.nextElementSibling;
+            if (span) span.textContent = label;
+        });
+        this.timeline?.setLabels({ user1: `${labels.user1} (Y)`, user2: `${labels.user2} (X)` });
+    }
+
+    /**
+     * Add one trajectory point to the timeline; the user series follow the diagram view
+     */
+    addTimelinePoint(point, data = undefined, timeline = this.timeline) {
+        const plotted = this.canvas.project(point.rates);
+        timeline.addDataPoint(point.time, {
+            user1: plotted.y, // Y-axis flow
+            user2: plotted.x, // X-axis flow
+            distance: point.distance,
+            fairness: point.fairness,
+            utilization: point.utilization,
+            queue: point.queue
+        }, data);
+    }
+
+    /**
+     * Redraw the timeline: the visible stored runs, plus the running simulation
+     */
+    refreshTimeline() {
+        if (!this.timeline) return;
+        this.timeline.clear();
+        this.timeline.setOverlays(this.runs.visible().map(run => {
+            const data = this.timeline.emptyData();
+            run.trajectory.forEach(point => this.addTimelinePoint(point, data));
+            return { color: run.color, data };
+        }));
+        if (this.engine.isRunning) {
+            this.engine.getTrajectory().forEach(point => this.addTimelinePoint(point));
+        }
+        this.timeline.render(this.engine.duration);
+        this.timeline.drawLegend();
+    }
+
     removeTimeline() {
         const container = document.getElementById('timeline-container');
         if (container) {
@@ -151,14 +197,89 @@ class CAVToolApp {
         const rtt1Input = document.getElementById('rtt1');
         if (rtt1Input) {
             rtt1Input.addEventListener('change', (e) => {
-                this.engine.setRTT(1, parseInt(e.target.value));
+                this.engine.setRTT(1, e.target.value);
+                e.target.value = this.engine.rtt[1];
+                this.configureExtraFlows();
             });
         }
 
         const rtt2Input = document.getElementById('rtt2');
         if (rtt2Input) {
             rtt2Input.addEventListener('change', (e) => {
-                this.engine.setRTT(0, parseInt(e.target.value));
+                this.engine.setRTT(0, e.target.value);
+                e.target.value = this.engine.rtt[0];
+                this.configureExtraFlows();
+            });
+        }
+
+        const jitterInput = document.getElementById('rtt-jitter');
+        if (jitterInput) {
+            jitterInput.addEventListener('change', (e) => {
+                this.engine.setRTTJitter(e.target.value);
+                e.target.value = this.engine.rttJitter;
+                this.log(`[SYS] RTT jitter: ±${(this.engine.rttJitter * 100).toFixed(0)}% per round`);
+            });
+        }
+
+        // Fair-share weights (using IDs)
+        const weight1Input = document.getElementById('weight1');
+        if (weight1Input) {
+            weight1Input.addEventListener('change', (e) => this.setWeight(1, e.target));
+        }
+
+        const weight2Input = document.getElementById('weight2');
+        if (weight2Input) {
+            weight2Input.addEventListener('change', (e) => this.setWeight(0, e.target));
+        }
+
+        // Number of competing flows
+        const flowCountInput = document.getElementById('flow-count');
+        if (flowCountInput) {
+            flowCountInput.addEventListener('change', (e) => {
+                this.engine.setSenderCount(Math.min(16, Math.max(2, parseInt(e.target.value) || 2)));
+                e.target.value = this.engine.getSenderCount();
+                this.updateViewSelectors();
+                this.configureExtraFlows();
+                this.renderFlowSettings();
+                this.updateReference();
+                this.log(`[SYS] Simulating ${this.engine.getSenderCount()} flows`);
+            });
+        }
+
+        // Diagram view (sender pair or projection)
+        this.setupViewSelectors();
+
+        // Bottleneck capacity (constant, step schedule or sine wave)
+        this.setupCapacity();
+
+        // Buffer in front of the bottleneck
+        const bufferInput = document.getElementById('buffer-size');
+        if (bufferInput) {
+            bufferInput.addEventListener('change', (e) => {
+                try {
+                    this.engine.setBufferSize(parseFloat(e.target.value) || 0);
+                } catch (err) {
+                    this.log(`[ERR] ${err.message}`);
+                    return;
+                }
+                e.target.value = this.engine.queue.size;
+                this.log(this.engine.queue.size > 0
+                    ? `[SYS] Bottleneck buffer: ${this.engine.queue.size} (rate × time)`
+                    : '[SYS] No bottleneck buffer: traffic above the capacity is dropped');
+            });
+        }
+
+        // Loss, noise and delay of the congestion signal
+        this.setupFeedback();
+
+        // Convergence band of the metrics panel
+        const toleranceInput = document.getElementById('metrics-tolerance');
+        if (toleranceInput) {
+            toleranceInput.addEventListener('change', (e) => {
+                const tolerance = parseFloat(e.target.value);
+                this.metricsTolerance = tolerance > 0 ? tolerance : DEFAULT_TOLERANCE;
+                e.target.value = this.metricsTolerance;
+                this.updateMetrics();
             });
         }
 
@@ -170,8 +291,38 @@ class CAVToolApp {
             });
         }
 
-        // Script selectors
+        // Loop iteration and function call cap for scripts
+        const loopLimitInput = document.getElementById('loop-limit');
+        if (loopLimitInput) {
+            loopLimitInput.addEventListener('change', (e) => {
+                this.engine.setIterationLimit(parseInt(e.target.value));
+                e.target.value = this.engine.iterationLimit;
+            });
+        }
+
+        // Parameter sweep heatmap
+        this.setupSweep();
+
+        // Legend of the stored runs
+        this.renderRunList();
+
+        // Step-through debugger
+        this.setupDebugger();
+
+        // Phase portrait from a grid of start points
+        document.getElementById('portrait-run')?.addEventListener('click', () => this.runPortrait());
+        document.getElementById('portrait-mode')?.addEventListener('change', () => this.redrawCanvas());
+
+        // Script selectors, editors and .cav import/export
         this.setupScriptSelectors();
+        this.setupEditors();
+        this.setupScriptFiles();
+
+        // Experiment files and links
+        this.setupExperiments();
+
+        // Run data and figure downloads
+        this.setupExport();
 
         // Action buttons
         this.setupButtons();
@@ -180,35 +331,459 @@ class CAVToolApp {
         this.setupSyncInput();
     }
 
-    setupScriptSelectors() {
-        // User 1 script selector (Y-axis)
-        const scriptUser1 = document.getElementById('script-user1');
-        if (scriptUser1) {
-            scriptUser1.innerHTML = '';
-            Object.keys(DEFAULT_SCRIPTS).forEach(name => {
+    setupViewSelectors() {
+        const modeSelect = document.getElementById('view-mode');
+        const xSelect = document.getElementById('view-x');
+        const ySelect = document.getElementById('view-y');
+
+        const applyView = () => {
+            const mode = modeSelect?.value || 'pair';
+            const x = parseInt(xSelect?.value ?? 0);
+            const y = parseInt(ySelect?.value ?? 1);
+            this.canvas.setView({ mode, x, y });
+
+            document.getElementById('view-pair')?.classList.toggle('hidden', mode !== 'pair');
+            const xLabel = document.getElementById('axis-label-x');
+            const yLabel = document.getElementById('axis-label-y');
+            if (xLabel) xLabel.textContent = mode === 'pair' ? this.flowLabel(x) : 'Efficiency (total load)';
+            if (yLabel) yLabel.textContent = mode === 'pair' ? this.flowLabel(y) : 'Fairness (Jain index)';
+
+            this.updateSeriesLabels();
+            this.redrawCanvas();
+            this.refreshTimeline();
+        };
+
+        [modeSelect, xSelect, ySelect].forEach(el => el?.addEventListener('change', applyView));
+        this.updateViewSelectors();
+
+        // Overlay the equal-share line next to the weighted one
+        const equalShareInput = document.getElementById('show-equal-share');
+        if (equalShareInput) {
+            equalShareInput.addEventListener('change', (e) => {
+                this.canvas.setShowEqualShare(e.target.checked);
+                this.redrawCanvas();
+            });
+        }
+
+        // Crosses where the bottleneck dropped traffic
+        const dropsInput = document.getElementById('show-drops');
+        if (dropsInput) {
+            dropsInput.addEventListener('change', (e) => {
+                this.canvas.setShowDrops(e.target.checked);
+                this.redrawCanvas();
+            });
+        }
+    }
+
+    /**
+     * Apply a weight input to a sender and move the fair-share target
+     */
+    setWeight(senderIndex, input) {
+        this.engine.setWeight(senderIndex, input.value);
+        input.value = this.engine.weights[senderIndex];
+        this.configureExtraFlows();
+        this.updateReference();
+
+        const optimum = this.engine.optimumAt(0).map(r => r.toFixed(3)).join(', ');
+        this.log(`[SYS] Weighted fair share: (${optimum})`);
+    }
+
+    setupCapacity() {
+        const modeSelect = document.getElementById('capacity-mode');
+        const specInput = document.getElementById('capacity-spec');
+        if (!modeSelect || !specInput) return;
+
+        const examples = { constant: '1', steps: '0=1, 50=0.6, 100=1.2', sine: '1, 0.3, 40' };
+
+        const apply = () => {
+            try {
+                this.engine.setCapacity(`${modeSelect.value}:${specInput.value}`);
+            } catch (e) {
+                this.log(`[ERR] ${e.message}`);
+                return;
+            }
+            this.updateReference();
+            this.log(`[SYS] Link capacity: ${this.engine.capacityModel}`);
+        };
+
+        modeSelect.addEventListener('change', () => {
+            specInput.value = examples[modeSelect.value];
+            apply();
+        });
+        specInput.addEventListener('change', apply);
+    }
+
+    setupFeedback() {
+        const inputs = ['feedback-loss', 'feedback-red', 'feedback-noise', 'delay1', 'delay2', 'feedback-seed']
+            .map(id => document.getElementById(id));
+        if (inputs.some(input => !input)) return;
+        const [lossInput, redInput, noiseInput, delay1Input, delay2Input, seedInput] = inputs;
+
+        const apply = () => {
+            try {
+                this.engine.setFeedback({
+                    seed: seedInput.value.trim(),
+                    randomLoss: lossInput.value,
+                    redRange: redInput.value,
+                    noise: noiseInput.value,
+                    delays: [delay2Input.value, delay1Input.value]
+                });
+            } catch (e) {
+                this.log(`[ERR] ${e.message}`);
+                return;
+            }
+            this.configureExtraFlows();
+            this.log(`[SYS] Feedback: ${this.engine.feedback}`);
+        };
+
+        inputs.forEach(input => input.addEventListener('change', apply));
+    }
+
+    /**
+     * Redraw the reference lines after the capacity or the number of flows changed
+     */
+    updateReference(step = 0) {
+        this.canvas.setScale(this.engine.getRateLimit());
+        this.canvas.setOptimum(this.engine.optimumAt(step));
+        this.redrawCanvas();
+    }
+
+    /**
+     * Rebuild the pair selectors after the number of flows changed
+     */
+    updateViewSelectors() {
+        const selects = [
+            [document.getElementById('view-x'), 0],
+            [document.getElementById('view-y'), 1]
+        ];
+        const count = this.engine.getSenderCount();
+
+        selects.forEach(([select, fallback]) => {
+            if (!select) return;
+            const previous = parseInt(select.value);
+            select.innerHTML = '';
+            for (let i = 0; i < count; i++) {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = this.flowLabel(i);
+                select.appendChild(option);
+            }
+            select.value = previous < count ? previous : fallback;
+        });
+
+        const x = parseInt(selects[0][0]?.value ?? 0);
+        const y = parseInt(selects[1][0]?.value ?? 1);
+        this.canvas.setView({ x, y });
+        this.updateSeriesLabels();
+    }
+
+    /**
+     * Human-readable name of a flow: sender 0 is User 2, sender 1 is User 1
+     */
+    flowLabel(senderIndex) {
+        if (senderIndex === 0) return 'User 2';
+        if (senderIndex === 1) return 'User 1';
+        return `Flow ${senderIndex + 1}`;
+    }
+
+    /**
+     * Settings of a flow beyond the two user panels, created on first use
+     */
+    extraFlow(senderIndex) {
+        for (let i = this.extraFlows.length; i <= senderIndex - 2; i++) {
+            this.extraFlows.push({ script: null, rtt: null, start: null, weight: null, delay: null });
+        }
+        return this.extraFlows[senderIndex - 2];
+    }
+
+    /**
+     * Fill the Flows panel with a row per extra flow: its script, RTT, start
+     * rate, weight and feedback delay. Empty script and RTT follow User 2,
+     * an empty start rate is spread, weight and delay default to 1 and 0.
+     */
+    renderFlowSettings() {
+        const panel = document.getElementById('flows-panel');
+        const body = document.getElementById('flow-settings');
+        if (!panel || !body) return;
+
+        const count = this.engine.getSenderCount();
+        panel.classList.toggle('hidden', count <= 2);
+        body.innerHTML = '';
+
+        const { builtin, user } = this.library.list();
+        const inputClass = 'rounded border-gray-300 dark:border-gray-600 dark:bg-gray-800 text-sm py-1 px-2 ' +
+            'focus:border-primary focus:ring-primary';
+        const cell = (child) => {
+            const td = document.createElement('td');
+            td.className = 'py-1 pr-2';
+            td.appendChild(child);
+            return td;
+        };
+        // A number field of a flow's settings; parse() gives null for an empty or invalid value
+        const numberInput = (flow, key, placeholder, step, parse) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = step;
+            input.placeholder = placeholder;
+            input.value = flow[key] ?? '';
+            input.className = `w-16 ${inputClass} font-mono`;
+            input.addEventListener('change', () => {
+                flow[key] = parse(parseFloat(input.value));
+                input.value = flow[key] ?? '';
+                this.configureExtraFlows();
+                if (key === 'weight') this.updateReference();
+            });
+            return input;
+        };
+
+        for (let i = 2; i < count; i++) {
+            const flow = this.extraFlow(i);
+            const row = document.createElement('tr');
+
+            const label = document.createElement('span');
+            label.className = 'text-gray-500 dark:text-gray-400 whitespace-nowrap';
+            label.textContent = this.flowLabel(i);
+
+            const script = document.createElement('select');
+            script.className = `w-full ${inputClass}`;
+            const names = [...builtin, ...user];
+            if (flow.script && !names.includes(flow.script.name)) names.push(flow.script.name);
+            ['', ...names].forEach(name => {
                 const option = document.createElement('option');
                 option.value = name;
-                option.textContent = name;
-                scriptUser1.appendChild(option);
+                option.textContent = name || 'As User 2';
+                script.appendChild(option);
             });
-            scriptUser1.addEventListener('change', (e) => {
-                this.loadScriptForUser(1, e.target.value);
+            script.value = flow.script?.name ?? '';
+            script.addEventListener('change', () => {
+                const name = script.value;
+                flow.script = !name ? null
+                    : this.library.has(name) ? { name, source: this.library.get(name) }
+                    : flow.script;
+                this.configureExtraFlows();
+                this.log(`[SYS] ${this.flowLabel(i)} runs ${this.scriptLabel(i)}`);
             });
+
+            const fields = [
+                numberInput(flow, 'rtt', this.engine.rtt[0], '0.5', v => (v > 0 ? Math.max(MIN_RTT, v) : null)),
+                numberInput(flow, 'start', 'auto', '0.05', v => (v >= 0 ? v : null)),
+                numberInput(flow, 'weight', '1', '0.5', v => (v > 0 ? v : null)),
+                numberInput(flow, 'delay', '0', '0.1', v => (v >= 0 ? v : null))
+            ];
+
+            [label, script, ...fields].forEach(child => row.appendChild(cell(child)));
+            body.appendChild(row);
         }
+    }
+
+    setupScriptSelectors() {
+        this.populateScriptSelectors();
+
+        // User 1 script selector (Y-axis)
+        document.getElementById('script-user1')?.addEventListener('change', (e) => {
+            this.loadScriptForUser(1, e.target.value);
+        });
 
         // User 2 script selector (X-axis)
-        const scriptUser2 = document.getElementById('script-user2');
-        if (scriptUser2) {
-            scriptUser2.innerHTML = '';
-            Object.keys(DEFAULT_SCRIPTS).forEach(name => {
-                const option = document.createElement('option');
-                option.value = name;
-                option.textContent = name;
-                scriptUser2.appendChild(option);
+        document.getElementById('script-user2')?.addEventListener('change', (e) => {
+            this.loadScriptForUser(0, e.target.value);
+        });
+    }
+
+    /**
+     * Fill both script selectors with the built-in and saved scripts, keeping
+     * the current selection where it still exists. Scripts are listed by their
+     * #name, with the file name added where two share a title, and the
+     * #description as tooltip.
+     */
+    populateScriptSelectors() {
+        const { builtin, user } = this.library.list();
+        const metadata = new Map([...builtin, ...user].map(name => [name, scriptMetadata(this.library.get(name))]));
+        const titleOf = (name) => {
+            const title = metadata.get(name).name;
+            if (!title) return name;
+            const shared = [...metadata.values()].filter(other => other.name === title).length > 1;
+            return shared ? `${title} (${name})` : title;
+        };
+
+        ['script-user1', 'script-user2'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const previous = select.value;
+            select.innerHTML = '';
+
+            const addGroup = (label, names) => {
+                if (names.length === 0) return;
+                const group = document.createElement('optgroup');
+                group.label = label;
+                names.forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    option.textContent = titleOf(name);
+                    option.title = metadata.get(name).description;
+                    group.appendChild(option);
+                });
+                select.appendChild(group);
+            };
+            addGroup('Built-in', builtin);
+            addGroup('My scripts', user);
+
+            if (this.library.has(previous)) select.value = previous;
+        });
+
+        this.renderFlowSettings();
+    }
+
+    setupEditors() {
+        const panels = [
+            [1, 'editor-user1', 'edit-script-user1'],
+            [0, 'editor-user2', 'edit-script-user2']
+        ];
+
+        panels.forEach(([senderIndex, editorId, buttonId]) => {
+            const root = document.getElementById(editorId);
+            if (!root) return;
+
+            const editor = new ScriptEditor(root);
+            editor.onApply = (source) => this.applyEditedScript(senderIndex, source);
+            editor.onSave = (name, source) => this.saveUserScript(senderIndex, name, source);
+            editor.onDelete = (name) => this.deleteUserScript(senderIndex, name);
+            this.editors[senderIndex] = editor;
+
+            document.getElementById(buttonId)?.addEventListener('click', () => {
+                if (editor.isVisible()) editor.hide();
+                else editor.show();
             });
-            scriptUser2.addEventListener('change', (e) => {
-                this.loadScriptForUser(0, e.target.value);
+        });
+    }
+
+    setupScriptFiles() {
+        const panels = [
+            [1, 'user1-panel', 'import-user1', 'import-script-user1', 'export-script-user1'],
+            [0, 'user2-panel', 'import-user2', 'import-script-user2', 'export-script-user2']
+        ];
+
+        panels.forEach(([senderIndex, panelId, fileInputId, importId, exportId]) => {
+            const panel = document.getElementById(panelId);
+            const fileInput = document.getElementById(fileInputId);
+
+            document.getElementById(importId)?.addEventListener('click', () => fileInput?.click());
+            fileInput?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.importScriptFile(senderIndex, file);
+                e.target.value = '';
             });
+
+            document.getElementById(exportId)?.addEventListener('click', () => this.exportScript(senderIndex));
+
+            // Drag-and-drop a .cav file onto the user panel
+            if (panel) {
+                panel.addEventListener('dragover', (e) => {
+                    e.preventDefault();
+                    panel.classList.add('ring-2', 'ring-primary', 'rounded-xl');
+                });
+                panel.addEventListener('dragleave', (e) => {
+                    if (!panel.contains(e.relatedTarget)) {
+                        panel.classList.remove('ring-2', 'ring-primary', 'rounded-xl');
+                    }
+                });
+                panel.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    panel.classList.remove('ring-2', 'ring-primary', 'rounded-xl');
+                    const file = e.dataTransfer?.files[0];
+                    if (file) this.importScriptFile(senderIndex, file);
+                });
+            }
+        });
+
+        Object.entries(this.editors).forEach(([senderIndex, editor]) => {
+            editor.onExport = (name, source) => this.downloadScript(name || this.activeScripts[senderIndex], source);
+        });
+    }
+
+    async importScriptFile(senderIndex, file) {
+        let name;
+        try {
+            const source = await readFileText(file);
+            name = this.library.importScript(file.name, source);
+        } catch (e) {
+            this.log(`[ERR] Import failed: ${e.message}`);
+            return;
+        }
+
+        this.populateScriptSelectors();
+        const select = document.getElementById(senderIndex === 1 ? 'script-user1' : 'script-user2');
+        if (select) select.value = name;
+        this.log(`[OK] Imported ${file.name} as ${name}`);
+        this.loadScriptForUser(senderIndex, name);
+    }
+
+    /**
+     * Download the script a user is running; an open editor's text wins,
+     * so unsaved edits can be exported too
+     */
+    exportScript(senderIndex) {
+        const editor = this.editors[senderIndex];
+        if (editor?.isVisible()) {
+            this.downloadScript(editor.getName() || this.activeScripts[senderIndex], editor.getSource());
+        } else {
+            this.downloadScript(this.activeScripts[senderIndex], this.engine.senders[senderIndex].scriptContent);
+        }
+    }
+
+    downloadScript(name, source) {
+        const fileName = ScriptLibrary.normalizeName(name) || 'script.cav';
+        downloadText(fileName, source);
+        this.log(`[OK] Exported ${fileName}`);
+    }
+
+    applyEditedScript(senderIndex, source) {
+        const problems = this.editors[senderIndex]?.diagnostics.length || 0;
+        this.engine.setScript(senderIndex, source);
+        this.updateParamSliders(senderIndex);
+        this.showScriptSummary(senderIndex);
+        this.log(`[SYS] Applied edited script for ${this.flowLabel(senderIndex)}` +
+            (problems > 0 ? ` (${problems} problem${problems === 1 ? '' : 's'})` : ''));
+    }
+
+    saveUserScript(senderIndex, name, source) {
+        let savedName;
+        try {
+            savedName = this.library.save(name, source);
+        } catch (e) {
+            this.log(`[ERR] ${e.message}`);
+            return;
+        }
+
+        this.populateScriptSelectors();
+        const selectId = senderIndex === 1 ? 'script-user1' : 'script-user2';
+        const select = document.getElementById(selectId);
+        if (select) select.value = savedName;
+        this.loadScriptForUser(senderIndex, savedName);
+        this.log(`[OK] Saved ${savedName} to the script library`);
+    }
+
+    deleteUserScript(senderIndex, name) {
+        const scriptName = ScriptLibrary.normalizeName(name);
+        if (!this.library.remove(scriptName)) {
+            this.log(`[ERR] ${scriptName || 'Script'} is not a saved script`);
+            return;
+        }
+
+        this.populateScriptSelectors();
+        this.log(`[SYS] Deleted ${scriptName} from the script library`);
+
+        // Fall back to the default script wherever the deleted one was selected
+        [[1, 'script-user1'], [0, 'script-user2']].forEach(([index, id]) => {
+            const select = document.getElementById(id);
+            if (select && select.value !== this.activeScripts[index]) {
+                this.loadScriptForUser(index, select.value);
+            }
+        });
+        if (this.editors[senderIndex]) {
+            this.editors[senderIndex].setSource(this.engine.senders[senderIndex].scriptContent, this.activeScripts[senderIndex]);
         }
     }
 
@@ -223,11 +798,6 @@ class CAVToolApp {
                 button.addEventListener('click', () => this.clearCanvas());
             } else if (text.includes('exit')) {
                 button.addEventListener('click', () => this.handleExit());
-            } else if (text.includes('reset')) {
-                button.addEventListener('click', (e) => {
-                    const panel = e.target.closest('section');
-                    this.resetParamsForPanel(panel);
-                });
             }
         });
     }
@@ -242,91 +812,1206 @@ class CAVToolApp {
         }
     }
 
-    loadDefaultScripts() {
+    async loadDefaultScripts() {
+        // Built-in scripts come straight from the .cav files in scripts/
+        try {
+            await this.library.loadBuiltins();
+        } catch (e) {
+            this.log(`[ERR] ${e.message}`);
+        }
+        this.populateScriptSelectors();
+
         // Load AIMD for both users by default
         this.loadScriptForUser(0, 'aimd.cav');
         this.loadScriptForUser(1, 'aimd.cav');
+        this.updateSweepOptions(false);
     }
 
     loadScriptForUser(senderIndex, scriptName) {
-        const script = DEFAULT_SCRIPTS[scriptName];
-        if (!script) {
+        const script = this.library.get(scriptName);
+        if (script === undefined) {
             this.log(`[ERR] Script not found: ${scriptName}`);
             return;
         }
 
         this.engine.setScript(senderIndex, script);
-        this.log(`[SYS] Loading ${scriptName} for User ${senderIndex + 1}...`);
+        this.activeScripts[senderIndex] = scriptName;
+        this.editors[senderIndex]?.setSource(script, scriptName);
+        this.log(`[SYS] Loading ${scriptName} for ${this.flowLabel(senderIndex)}...`);
 
         // Update parameter sliders
         this.updateParamSliders(senderIndex);
+        this.showScriptSummary(senderIndex);
+    }
+
+    /**
+     * Show the #description of a sender's script under its selector
+     */
+    showScriptSummary(senderIndex) {
+        const summary = document.getElementById(senderIndex === 1 ? 'script-summary-user1' : 'script-summary-user2');
+        if (!summary) return;
+        const { description } = scriptMetadata(this.engine.senders[senderIndex].scriptContent);
+        summary.textContent = description;
+        summary.classList.toggle('hidden', !description);
     }
 
+    /**
+     * Build a slider for every #define_param of a sender's script, set to its default
+     */
     updateParamSliders(senderIndex) {
-        const params = this.engine.getParams(senderIndex);
-        const panelId = senderIndex === 1 ? 'user1-panel' : 'user2-panel';
-        const panel = document.getElementById(panelId);
-
-        if (!panel) return;
-
-        // Find parameter containers in the panel
-        const paramContainers = panel.querySelectorAll('.mb-6');
-
-        params.filter(p => !p.isStatic).forEach((param, i) => {
-            if (i < paramContainers.length) {
-                const container = paramContainers[i];
-                const label = container.querySelector('label');
-                const numberInput = container.querySelector('input[type="number"]');
-                const rangeInput = container.querySelector('input[type="range"]');
-                const minSpan = container.querySelectorAll('.text-xs span')[0];
-                const maxSpan = container.querySelectorAll('.text-xs span')[1];
-
-                if (label) label.textContent = param.name.charAt(0).toUpperCase() + param.name.slice(1);
-                if (numberInput) {
-                    numberInput.value = param.default;
-                    numberInput.min = param.min;
-                    numberInput.max = param.max;
-                    numberInput.step = 0.1;
-                    numberInput.dataset.param = param.name;
-                    numberInput.dataset.sender = senderIndex;
-                    numberInput.dataset.default = param.default;
-
-                    // Remove old listeners and add new one
-                    const newInput = numberInput.cloneNode(true);
-                    numberInput.parentNode.replaceChild(newInput, numberInput);
-                    newInput.addEventListener('input', (e) => {
-                        const val = parseFloat(e.target.value);
-                        this.params[`sender${senderIndex}`][param.name] = val;
-                        const rangeEl = container.querySelector('input[type="range"]');
-                        if (rangeEl) rangeEl.value = val;
-                    });
+        const params = this.engine.getParams(senderIndex).filter(p => !p.isStatic);
+        this.params[`sender${senderIndex}`] = {};
+        params.forEach(param => {
+            this.params[`sender${senderIndex}`][param.name] = param.default;
+        });
+
+        const container = document.getElementById(senderIndex === 1 ? 'params-user1' : 'params-user2');
+        if (container) {
+            container.innerHTML = '';
+            params.forEach(param => container.appendChild(this.createParamControl(senderIndex, param)));
+            if (params.length === 0) {
+                const note = document.createElement('p');
+                note.className = 'text-xs text-gray-400';
+                note.textContent = 'This script has no parameters';
+                container.appendChild(note);
+            }
+        }
+
+        this.updateSweepOptions();
+    }
+
+    /**
+     * Label, input and reset button of one parameter: a slider with a number
+     * input, a toggle for a boolean or a list for a choice. The description
+     * is the tooltip.
+     */
+    createParamControl(senderIndex, param) {
+        const control = document.createElement('div');
+        control.className = 'group';
+        if (param.description) control.title = param.description;
+
+        const header = document.createElement('div');
+        header.className = 'flex justify-between items-center mb-2';
+        const label = document.createElement('label');
+        label.className = 'text-sm font-semibold text-gray-600 dark:text-gray-300';
+        label.textContent = param.name.charAt(0).toUpperCase() + param.name.slice(1);
+
+        const change = (value) => {
+            this.params[`sender${senderIndex}`][param.name] = value;
+            this.scheduleRerun();
+        };
+
+        if (param.type === 'boolean') {
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.className = 'rounded text-primary focus:ring-primary';
+            toggle.checked = param.default > 0;
+            toggle.dataset.param = param.name;
+            toggle.addEventListener('change', () => change(toggle.checked ? 1 : 0));
+            header.append(label, toggle);
+            control.append(header);
+        } else if (param.type === 'choice') {
+            const select = document.createElement('select');
+            select.className = 'w-full rounded border-gray-300 dark:border-gray-600 dark:bg-gray-800 text-sm py-1 px-2 focus:border-primary focus:ring-primary';
+            param.choices.forEach((choice, i) => {
+                const option = document.createElement('option');
+                option.value = i;
+                option.textContent = choice;
+                select.appendChild(option);
+            });
+            select.value = param.default;
+            select.dataset.param = param.name;
+            select.addEventListener('change', () => change(parseInt(select.value)));
+            header.append(label);
+            control.append(header, select);
+        } else {
+            const { numberInput, rangeInput, bounds } = this.createParamSlider(param, change);
+            header.append(label, numberInput);
+            control.append(header, rangeInput, bounds);
+        }
+
+        const reset = document.createElement('button');
+        reset.className = 'mt-2 w-full text-xs text-primary dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 py-1.5 rounded transition font-medium border border-transparent hover:border-blue-100 dark:hover:border-blue-800';
+        reset.textContent = 'Reset to Default';
+        reset.addEventListener('click', () => {
+            this.setParamValue(senderIndex, param.name, param.default);
+            this.scheduleRerun();
+        });
+
+        control.append(reset);
+        return control;
+    }
+
+    /**
+     * Number input, slider and bounds of a numeric parameter. On a log range
+     * the slider moves the exponent and values keep 3 significant digits.
+     */
+    createParamSlider(param, change) {
+        const numberInput = document.createElement('input');
+        numberInput.type = 'number';
+        numberInput.className = 'w-20 text-right rounded border-gray-300 dark:border-gray-600 dark:bg-gray-800 text-sm py-1 px-2 focus:border-primary focus:ring-primary font-mono';
+        numberInput.min = param.min;
+        numberInput.max = param.max;
+        numberInput.step = param.log ? 'any' : param.step;
+        numberInput.value = param.default;
+
+        const rangeInput = document.createElement('input');
+        rangeInput.type = 'range';
+        rangeInput.className = 'w-full mb-2';
+        if (param.log) {
+            rangeInput.min = Math.log10(param.min);
+            rangeInput.max = Math.log10(param.max);
+            rangeInput.step = 'any';
+            rangeInput.value = Math.log10(param.default);
+            rangeInput.dataset.scale = 'log';
+        } else {
+            rangeInput.min = param.min;
+            rangeInput.max = param.max;
+            rangeInput.step = param.step;
+            rangeInput.value = param.default;
+        }
+
+        [numberInput, rangeInput].forEach(input => {
+            input.dataset.param = param.name;
+            input.addEventListener('input', () => {
+                let value = parseFloat(input.value);
+                if (!Number.isFinite(value)) return;
+                // Only the other input follows, so typing in the number input is not interrupted
+                if (input === rangeInput) {
+                    if (param.log) value = Number(Math.pow(10, value).toPrecision(3));
+                    numberInput.value = value;
+                } else {
+                    rangeInput.value = param.log ? Math.log10(value) : value;
                 }
-                if (rangeInput) {
-                    rangeInput.value = param.default;
-                    rangeInput.min = param.min;
-                    rangeInput.max = param.max;
-                    rangeInput.step = 0.1;
-                    rangeInput.dataset.param = param.name;
-
-                    // Remove old listeners and add new one
-                    const newRange = rangeInput.cloneNode(true);
-                    rangeInput.parentNode.replaceChild(newRange, rangeInput);
-                    newRange.addEventListener('input', (e) => {
-                        const val = parseFloat(e.target.value);
-                        this.params[`sender${senderIndex}`][param.name] = val;
-                        const numEl = container.querySelector('input[type="number"]');
-                        if (numEl) numEl.value = val;
-                    });
+                change(value);
+            });
+        });
+
+        const bounds = document.createElement('div');
+        bounds.className = 'flex justify-between text-xs text-gray-400';
+        [param.min, param.max].forEach(bound => {
+            const span = document.createElement('span');
+            span.textContent = bound;
+            bounds.appendChild(span);
+        });
+
+        return { numberInput, rangeInput, bounds };
+    }
+
+    /**
+     * Set a parameter value and show it in the panel's control
+     */
+    setParamValue(senderIndex, name, value) {
+        this.params[`sender${senderIndex}`][name] = value;
+        const panel = document.getElementById(senderIndex === 1 ? 'user1-panel' : 'user2-panel');
+        panel?.querySelectorAll(`[data-param="${name}"]`).forEach(input => {
+            if (input.type === 'checkbox') {
+                input.checked = value > 0;
+            } else {
+                input.value = input.dataset.scale === 'log' ? Math.log10(value) : value;
+            }
+        });
+    }
+
+    /**
+     * Redraw the diagram: the phase portrait if one is shown, else the last trajectory
+     */
+    redrawCanvas() {
+        if (this.portrait) {
+            this.canvas.drawPhasePortrait(this.portrait, {
+                mode: document.getElementById('portrait-mode')?.value,
+                duration: this.engine.duration
+            });
+        } else {
+            const live = this.engine.isRunning ? this.engine.getTrajectory() : [];
+            this.canvas.redrawTrajectory(live, this.runs.visible());
+        }
+    }
+
+    // ========== Experiments ==========
+
+    setupExperiments() {
+        const fileInput = document.getElementById('experiment-file');
+
+        document.getElementById('experiment-save')?.addEventListener('click', () => this.saveExperiment());
+        document.getElementById('experiment-load')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.openExperimentFile(file);
+            e.target.value = '';
+        });
+        document.getElementById('experiment-link')?.addEventListener('click', () => this.shareExperiment());
+
+        // Pasting another experiment link into the address bar
+        window.addEventListener('hashchange', () => this.loadExperimentFromHash());
+    }
+
+    /**
+     * The current setup as an experiment (see experiment.js). Built-in scripts
+     * are referenced by name, anything else carries its source.
+     */
+    captureExperiment() {
+        const engine = this.engine;
+        const { seed, randomLoss, redRange, noise } = engine.feedback.toJSON();
+
+        const scriptRef = (name, source) =>
+            (this.library.isBuiltin(name) && this.library.get(name) === source ? { name } : { name, source });
+
+        return normalizeExperiment({
+            version: EXPERIMENT_VERSION,
+            duration: engine.duration,
+            animationDelay: engine.animationDelay,
+            loopLimit: engine.iterationLimit,
+            flows: engine.getSenderCount(),
+            capacity: String(engine.capacityModel),
+            buffer: engine.queue.size,
+            jitter: engine.rttJitter,
+            feedback: { seed, randomLoss, redRange, noise },
+            start: {
+                x: parseFloat(document.getElementById('start-x')?.value) || 0,
+                y: parseFloat(document.getElementById('start-y')?.value) || 0
+            },
+            senders: [0, 1].map(i => ({
+                script: scriptRef(this.activeScripts[i] || 'script.cav', engine.senders[i].scriptContent),
+                params: { ...this.params[`sender${i}`] },
+                rtt: engine.rtt[i],
+                weight: engine.weights[i],
+                delay: engine.feedback.delayOf(i)
+            })),
+            extraFlows: Array.from({ length: engine.getSenderCount() - 2 }, (_, i) => {
+                const { script, ...settings } = this.extraFlow(i + 2);
+                return { script: script && scriptRef(script.name, script.source), ...settings };
+            })
+        });
+    }
+
+    /**
+     * Check an experiment before anything is changed: every script must be
+     * in the library or inlined, and every parameter value must be one its
+     * script defines. Throws on the first problem.
+     * @returns {Object} - The experiment with each script as { name, source, inLibrary }
+     */
+    resolveExperiment(experiment) {
+        const resolve = (script) => {
+            const inLibrary = this.library.has(script.name) &&
+                (script.source === undefined || this.library.get(script.name) === script.source);
+            if (!inLibrary && script.source === undefined) {
+                throw new Error(`Script not found: ${script.name}`);
+            }
+            return { name: script.name, source: inLibrary ? this.library.get(script.name) : script.source, inLibrary };
+        };
+
+        const senders = experiment.senders.map((sender, i) => {
+            const script = resolve(sender.script);
+            const defined = new ScriptParser(script.source).getParams().filter(p => !p.isStatic);
+            Object.entries(sender.params).forEach(([name, value]) => {
+                const param = defined.find(p => p.name === name);
+                if (!param) {
+                    throw new Error(`${script.name} (${this.flowLabel(i)}) has no parameter '${name}'`);
                 }
-                if (minSpan) minSpan.textContent = param.min;
-                if (maxSpan) maxSpan.textContent = param.max;
+                if (value < param.min || value > param.max) {
+                    throw new Error(`${name} = ${value} is outside its range ${param.min} to ${param.max} (${this.flowLabel(i)})`);
+                }
+            });
+            return { ...sender, script };
+        });
+        const extraFlows = experiment.extraFlows.map(flow => ({ ...flow, script: flow.script && resolve(flow.script) }));
+
+        return { ...experiment, senders, extraFlows };
+    }
+
+    /**
+     * Restore a setup in the engine and the inputs, then replay its run.
+     * Throws, with nothing changed, if the experiment does not fit the library.
+     */
+    async applyExperiment(data) {
+        const experiment = this.resolveExperiment(data);
+        const engine = this.engine;
+        const setInput = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+
+        if (engine.isRunning) {
+            engine.stop();
+            await this.activeRun;
+        }
 
-                // Initialize param value
-                this.params[`sender${senderIndex}`][param.name] = param.default;
+        engine.setDuration(experiment.duration);
+        engine.setAnimationDelay(experiment.animationDelay);
+        engine.setIterationLimit(experiment.loopLimit);
+        engine.setSenderCount(Math.min(16, experiment.flows));
+        engine.setCapacity(experiment.capacity);
+        engine.setBufferSize(experiment.buffer);
+        engine.setRTTJitter(experiment.jitter);
+        engine.setFeedback({
+            ...experiment.feedback,
+            delays: experiment.senders.map(sender => sender.delay)
+        });
+        experiment.senders.forEach((sender, i) => {
+            engine.setRTT(i, sender.rtt);
+            engine.setWeight(i, sender.weight);
+        });
+
+        setInput('duration', engine.duration);
+        setInput('animation-delay', engine.animationDelay);
+        setInput('loop-limit', engine.iterationLimit);
+        setInput('flow-count', engine.getSenderCount());
+        setInput('capacity-mode', engine.capacityModel.spec.type);
+        setInput('capacity-spec', String(engine.capacityModel).replace(/^[a-z]+:/, ''));
+        setInput('buffer-size', engine.queue.size);
+        setInput('rtt-jitter', engine.rttJitter);
+        setInput('feedback-loss', engine.feedback.randomLoss);
+        setInput('feedback-red', engine.feedback.redRange);
+        setInput('feedback-noise', engine.feedback.noise);
+        setInput('feedback-seed', engine.feedback.seed ?? '');
+        [[0, '2'], [1, '1']].forEach(([i, user]) => {
+            setInput(`rtt${user}`, engine.rtt[i]);
+            setInput(`weight${user}`, engine.weights[i]);
+            setInput(`delay${user}`, engine.feedback.delayOf(i));
+        });
+        setInput('start-x', experiment.start.x);
+        setInput('start-y', experiment.start.y);
+
+        experiment.senders.forEach((sender, i) => {
+            this.applyExperimentScript(i, sender.script);
+            Object.entries(sender.params).forEach(([name, value]) => this.setParamValue(i, name, value));
+        });
+        this.extraFlows = experiment.extraFlows.map(({ script, ...settings }) => ({
+            script: script && { name: script.name, source: script.source },
+            ...settings
+        }));
+
+        this.updateViewSelectors();
+        this.configureExtraFlows();
+        this.renderFlowSettings();
+        this.updateReference();
+        this.log(`[OK] Loaded experiment${experiment.name ? ` "${experiment.name}"` : ''}`);
+        await this.restartSimulation(experiment.start.x, experiment.start.y);
+    }
+
+    /**
+     * Load an experiment's script (see resolveExperiment): from the library
+     * if it has the same script under that name, else straight from the source
+     */
+    applyExperimentScript(senderIndex, script) {
+        const select = document.getElementById(senderIndex === 1 ? 'script-user1' : 'script-user2');
+
+        if (script.inLibrary) {
+            if (select) select.value = script.name;
+            this.loadScriptForUser(senderIndex, script.name);
+        } else {
+            this.engine.setScript(senderIndex, script.source);
+            this.activeScripts[senderIndex] = script.name;
+            this.editors[senderIndex]?.setSource(script.source, script.name);
+            this.updateParamSliders(senderIndex);
+            this.showScriptSummary(senderIndex);
+            this.log(`[SYS] Loading ${script.name} (from the experiment) for ${this.flowLabel(senderIndex)}...`);
+        }
+    }
+
+    saveExperiment() {
+        const experiment = this.captureExperiment();
+        downloadText('experiment.json', JSON.stringify(experiment, null, 2), 'application/json');
+        this.log('[OK] Saved experiment.json');
+    }
+
+    async openExperimentFile(file) {
+        try {
+            await this.applyExperiment(parseExperiment(await readFileText(file)));
+        } catch (e) {
+            this.log(`[ERR] Could not load ${file.name}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Put the current setup into the URL hash and copy the link
+     */
+    async shareExperiment() {
+        const hash = `#${EXPERIMENT_HASH_KEY}${encodeExperiment(this.captureExperiment())}`;
+        // replaceState changes the URL without a hashchange, so nothing is replayed
+        history.replaceState(null, '', hash);
+        try {
+            await navigator.clipboard.writeText(location.href);
+            this.log('[OK] Experiment link copied to the clipboard');
+        } catch (e) {
+            this.log('[SYS] Experiment link is in the address bar');
+        }
+    }
+
+    /**
+     * Restore and replay the experiment in the URL hash, if there is one
+     */
+    async loadExperimentFromHash() {
+        let experiment;
+        try {
+            experiment = decodeExperiment(location.hash);
+        } catch (e) {
+            this.log(`[ERR] ${e.message}`);
+            return;
+        }
+        if (!experiment) return;
+
+        try {
+            await this.applyExperiment(experiment);
+        } catch (e) {
+            this.log(`[ERR] Could not load the linked experiment: ${e.message}`);
+        }
+    }
+
+    // ========== Export ==========
+
+    setupExport() {
+        document.getElementById('export-run-csv')?.addEventListener('click', () => this.exportRun('csv'));
+        document.getElementById('export-run-json')?.addEventListener('click', () => this.exportRun('json'));
+        document.getElementById('export-diagram-png')?.addEventListener('click', () => this.exportFigure('diagram', 'png'));
+        document.getElementById('export-diagram-svg')?.addEventListener('click', () => this.exportFigure('diagram', 'svg'));
+        document.getElementById('export-timeline-png')?.addEventListener('click', () => this.exportFigure('timeline', 'png'));
+        document.getElementById('export-timeline-svg')?.addEventListener('click', () => this.exportFigure('timeline', 'svg'));
+
+        const formatSelect = document.getElementById('record-format');
+        if (formatSelect) {
+            Object.entries(RECORDING_FORMATS).forEach(([value, { label }]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                formatSelect.appendChild(option);
+            });
+        }
+    }
+
+    /**
+     * Download the trajectory and metrics of the current run
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportRun(format) {
+        if (this.engine.getTrajectory().length === 0) {
+            this.log('[ERR] No run to export yet');
+            return;
+        }
+
+        const run = runDocument(this.engine, {
+            scripts: this.engine.senders.map((sender, i) => this.scriptLabel(i)),
+            tolerance: this.metricsTolerance
+        });
+        if (format === 'csv') {
+            downloadText('run.csv', runToCSV(run), 'text/csv');
+        } else {
+            downloadText('run.json', JSON.stringify(run, null, 2), 'application/json');
+        }
+        this.log(`[OK] Exported run.${format}`);
+    }
+
+    /**
+     * Download the diagram or the timeline as PNG or SVG. Both are drawn
+     * again by the visualization, onto a scaled canvas or an SvgContext.
+     * @param {string} target - 'diagram' or 'timeline'
+     * @param {string} format - 'png' or 'svg'
+     */
+    exportFigure(target, format) {
+        const visualization = target === 'diagram' ? this.canvas : this.timeline;
+        if (!visualization) {
+            this.log(`[ERR] Tick Plot Time Line to export the ${target}`);
+            return;
+        }
+
+        // The timeline paints its own background, the diagram is transparent on the page
+        const background = target === 'diagram' ? '#FFFFFF' : null;
+        const draw = () => {
+            if (target === 'diagram') {
+                this.redrawCanvas();
+                this.canvas.drawAxes();
+            } else {
+                this.refreshTimeline();
+            }
+        };
+        const { width, height } = visualization;
+        const fileName = `${target}.${format}`;
+
+        if (format === 'svg') {
+            const svg = new SvgContext(width, height, { background });
+            drawWithContext(visualization, svg, draw);
+            downloadText(fileName, svg.toSVG(), 'image/svg+xml');
+            this.log(`[OK] Exported ${fileName}`);
+            return;
+        }
+
+        const scale = parseInt(document.getElementById('figure-scale')?.value) || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        drawWithContext(visualization, ctx, draw);
+        if (background) {
+            ctx.globalCompositeOperation = 'destination-over';
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        }
+        canvas.toBlob(blob => {
+            downloadBlob(fileName, blob);
+            this.log(`[OK] Exported ${fileName} (${canvas.width} × ${canvas.height})`);
+        }, 'image/png');
+    }
+
+    /**
+     * Encode a finished run as an animation, one frame per update, and download it
+     * @param {Array} trajectory - Points of the run
+     * @param {Array} overlays - Stored runs shown behind it, as on the diagram
+     */
+    async recordRun(trajectory, overlays = []) {
+        if (this.recording) {
+            this.log('[ERR] Still encoding the previous recording');
+            return;
+        }
+
+        const format = document.getElementById('record-format')?.value || 'gif';
+        const fps = parseFloat(document.getElementById('record-fps')?.value) || 10;
+        const trail = Math.max(0, parseInt(document.getElementById('record-trail')?.value) || 0);
+        const withTimeline = document.getElementById('record-timeline')?.checked;
+        const showOverlay = document.getElementById('record-overlay')?.checked;
+        const duration = this.engine.duration;
+
+        // The diagram is drawn on its own canvas, the timeline by its own visualization
+        const diagram = document.createElement('canvas');
+        diagram.width = this.canvas.width;
+        diagram.height = this.canvas.height;
+        const diagramCtx = diagram.getContext('2d');
+
+        let timeline = null;
+        let plotted = 0; // Trajectory points already on the timeline
+        if (withTimeline) {
+            timeline = new TimelineVisualization(document.createElement('canvas'));
+            timeline.setSeries(this.selectedTimelineSeries());
+            timeline.setOverlays(overlays.map(run => {
+                const data = timeline.emptyData();
+                run.trajectory.forEach(point => this.addTimelinePoint(point, data, timeline));
+                return { color: run.color, data };
+            }));
+        }
+
+        const frame = document.createElement('canvas');
+        frame.width = diagram.width + (timeline ? timeline.width : 0);
+        frame.height = diagram.height;
+        const ctx = frame.getContext('2d');
+
+        const drawFrame = (i) => {
+            const point = trajectory[i];
+            const optimum = this.canvas.optimum;
+            this.canvas.setOptimum(point.optimum);
+            drawWithContext(this.canvas, diagramCtx, () => {
+                this.canvas.redrawTrajectory(trajectory.slice(trail > 0 ? Math.max(0, i - trail) : 0, i + 1), overlays);
+                this.canvas.drawAxes();
+            });
+            this.canvas.setOptimum(optimum);
+
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, diagram.width, diagram.height);
+            ctx.drawImage(diagram, 0, 0);
+
+            if (timeline) {
+                while (plotted <= i) {
+                    this.addTimelinePoint(trajectory[plotted++], undefined, timeline);
+                }
+                timeline.render(duration);
+                timeline.drawLegend();
+                ctx.fillStyle = '#1e293b';
+                ctx.fillRect(diagram.width, 0, timeline.width, frame.height);
+                ctx.drawImage(timeline.canvas, diagram.width, (frame.height - timeline.height) / 2);
+            }
+
+            if (showOverlay) {
+                ctx.font = 'bold 14px Inter, sans-serif';
+                ctx.textAlign = 'left';
+                ctx.fillStyle = '#111827';
+                ctx.fillText(`Step ${point.step}   t = ${this.formatTime(point.time)}`, 12, 24);
+            }
+        };
+
+        this.recording = true;
+        const { label, extension } = RECORDING_FORMATS[format];
+        this.log(`[SYS] Recording ${trajectory.length} frames as ${label}...`);
+        try {
+            const blob = await recordFrames(frame, trajectory.length, drawFrame, { format, fps });
+            downloadBlob(`run.${extension}`, blob);
+            this.log(`[OK] Exported run.${extension} (${(blob.size / 1024).toFixed(0)} KB)`);
+        } catch (e) {
+            this.log(`[ERR] Recording failed: ${e.message}`);
+        } finally {
+            this.recording = false;
+        }
+    }
+
+    /**
+     * Log the lint findings of both users' scripts before a run. Findings
+     * of a script are logged once, until its source changes.
+     */
+    lintScripts() {
+        [1, 0].forEach(senderIndex => {
+            const source = this.engine.senders[senderIndex].scriptContent;
+            if (this.lintedSources[senderIndex] === source) return;
+            this.lintedSources[senderIndex] = source;
+
+            const label = `${this.flowLabel(senderIndex)} (${this.scriptLabel(senderIndex)})`;
+            lintScript(source).forEach(diagnostic => {
+                const prefix = diagnostic.severity === 'error' ? '[ERR]' : '[SYS] Warning:';
+                this.log(`${prefix} ${label}: ${formatDiagnostic(diagnostic)}`);
+            });
+        });
+    }
+
+    // ========== Run History ==========
+
+    /**
+     * Name of the script a sender runs, marked if it was edited after loading
+     */
+    scriptLabel(senderIndex) {
+        if (senderIndex >= 2) {
+            return this.extraFlow(senderIndex).script?.name ?? this.scriptLabel(0);
+        }
+        const name = this.activeScripts[senderIndex] || 'script';
+        const edited = this.library.get(name) !== this.engine.senders[senderIndex].scriptContent;
+        return edited ? `${name} (edited)` : name;
+    }
+
+    /**
+     * A finished run with everything needed to tell it apart from others
+     */
+    runRecord(trajectory, params) {
+        const senders = this.engine.senders;
+        return {
+            name: `${this.scriptLabel(1).replace(/\.cav/i, '')} vs ${this.scriptLabel(0).replace(/\.cav/i, '')}`,
+            scripts: senders.map((sender, i) => ({
+                name: this.scriptLabel(i),
+                source: sender.scriptContent
+            })),
+            params,
+            rtt: [...this.engine.rtt],
+            jitter: this.engine.rttJitter,
+            weights: this.engine.getWeights(),
+            capacity: String(this.engine.capacityModel),
+            feedback: { ...this.engine.feedback.toJSON(), seed: this.engine.feedback.runSeed },
+            start: trajectory[0].rates,
+            trajectory,
+            metrics: summarizeMetrics(trajectory, { tolerance: this.metricsTolerance })
+        };
+    }
+
+    /**
+     * Keep a finished run for comparison
+     */
+    storeRun(trajectory, params) {
+        const run = this.runs.add(this.runRecord(trajectory, params));
+        this.renderRunList();
+        return run;
+    }
+
+    /**
+     * Moving a slider re-runs the current trajectory once per frame
+     */
+    scheduleRerun() {
+        if (this.rerunFrame !== null) return;
+        this.rerunFrame = requestAnimationFrame(() => {
+            this.rerunFrame = null;
+            this.rerunCurrent();
+        });
+    }
+
+    /**
+     * Compute the most recent run again with the current parameter values,
+     * from the same start point and random seed, and show it in its place.
+     * A run that is still animating keeps the values it started with.
+     */
+    rerunCurrent() {
+        const run = this.currentRun && this.runs.get(this.currentRun.id);
+        if (!run || this.engine.isRunning || this.portrait || this.recording) return;
+
+        this.configureExtraFlows();
+        this.engine.setStartRates(run.start.length === this.engine.getSenderCount()
+            ? run.start : this.buildStartRates(run.start[0], run.start[1]));
+        const params = this.buildRunParams();
+        const feedback = this.engine.feedback;
+        const seed = feedback.seed;
+        feedback.seed = run.feedback.seed;
+        const { trajectory, errors } = this.engine.runHeadless(params);
+        feedback.seed = seed;
+
+        const { name, ...record } = this.runRecord(trajectory, params);
+        this.runs.update(run.id, record);
+        this.renderRunList();
+        this.redrawCanvas();
+        this.refreshTimeline();
+        this.updateMetrics();
+
+        const error = errors.length > 0 ? `[ERR] Step ${errors[0].step}: ${formatError(errors[0])}` : null;
+        if (error && error !== this.rerunError) this.log(error);
+        this.rerunError = error;
+    }
+
+    /**
+     * Show the stored runs as a legend with show/hide, rename and delete controls
+     */
+    renderRunList() {
+        const list = document.getElementById('run-list');
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (this.runs.list().length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'text-gray-400 text-xs';
+            empty.textContent = 'No runs yet. Click the diagram to start one.';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.runs.list().forEach(run => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center gap-2';
+
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.checked = run.visible;
+            visible.title = 'Show on the diagram and timeline';
+            visible.className = 'rounded border-gray-300 dark:border-gray-600 dark:bg-gray-700';
+            visible.style.accentColor = run.color;
+            visible.addEventListener('change', () => {
+                this.runs.setVisible(run.id, visible.checked);
+                this.redrawCanvas();
+                this.refreshTimeline();
+            });
+
+            const swatch = document.createElement('span');
+            swatch.className = 'inline-block w-3 h-3 rounded-full shrink-0';
+            swatch.style.backgroundColor = run.color;
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = run.name;
+            name.className = 'flex-1 min-w-0 bg-transparent border-none p-0 text-sm font-medium text-gray-800 dark:text-gray-100 focus:ring-0';
+            name.title = this.describeRun(run);
+            name.addEventListener('change', () => {
+                this.runs.rename(run.id, name.value);
+                name.value = run.name;
+            });
+
+            const remove = document.createElement('button');
+            remove.title = 'Delete run';
+            remove.className = 'p-0.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700';
+            remove.innerHTML = '<span class="material-symbols-outlined text-base text-gray-400">delete</span>';
+            remove.addEventListener('click', () => {
+                this.runs.remove(run.id);
+                this.renderRunList();
+                this.redrawCanvas();
+                this.refreshTimeline();
+            });
+
+            item.append(visible, swatch, name, remove);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * One-line summary of a run's settings, shown as tooltip
+     */
+    describeRun(run) {
+        const lines = run.scripts.map((script, i) => {
+            const params = Object.entries(run.params[`sender${i}`] || {})
+                .map(([name, value]) => `${name}=${+value.toFixed(3)}`).join(' ');
+            return `${this.flowLabel(i)}: ${script.name}, start ${run.start[i].toFixed(3)}, RTT ${run.rtt[i]}` +
+                (params ? `, ${params}` : '');
+        });
+        lines.push(`Capacity: ${run.capacity}`);
+        return lines.join('\n');
+    }
+
+    // ========== Debugger ==========
+
+    setupDebugger() {
+        document.getElementById('debug-mode')?.addEventListener('change', (e) => {
+            this.engine.setDebug(e.target.checked);
+            this.log(`[SYS] Debug mode ${e.target.checked ? 'enabled: runs start paused' : 'disabled'}`);
+        });
+
+        document.getElementById('debug-pause')?.addEventListener('click', () => {
+            if (this.engine.isRunning) this.engine.pause();
+        });
+        document.getElementById('debug-continue')?.addEventListener('click', () => {
+            if (this.engine.isRunning) {
+                this.engine.resume();
+                this.setDebugStatus('Running');
+            }
+        });
+        document.getElementById('debug-step')?.addEventListener('click', () => {
+            this.debugAdvance(() => this.engine.stepOnce());
+        });
+        document.getElementById('debug-run-to')?.addEventListener('click', () => {
+            const target = parseInt(document.getElementById('debug-target')?.value) || 1;
+            this.debugAdvance(() => this.engine.runToStep(target));
+        });
+
+        this.engine.onPause = (step) => {
+            this.setDebugStatus(step === 0 ? 'Paused before step 1' : `Paused after step ${step}`);
+            const point = this.engine.getTrajectory()[step];
+            if (point?.debug) this.showSnapshot(point);
+        };
+    }
+
+    /**
+     * Step a paused run; without a run, start one in debug mode first
+     */
+    debugAdvance(advance) {
+        if (!this.engine.isRunning) {
+            if (!this.engine.debug) {
+                const checkbox = document.getElementById('debug-mode');
+                if (checkbox) checkbox.checked = true;
+                this.engine.setDebug(true);
+                this.log('[SYS] Debug mode enabled: runs start paused');
+            }
+            this.runSimulation();
+        }
+        advance();
+        this.setDebugStatus('Running');
+    }
+
+    setDebugStatus(text) {
+        const status = document.getElementById('debug-status');
+        if (status) status.textContent = text;
+    }
+
+    handleCanvasHover(event) {
+        const trajectory = this.engine.getTrajectory();
+        if (this.portrait || !trajectory.some(point => point.debug)) return;
+
+        const rect = event.target.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (event.clientY - rect.top) * (this.canvas.height / rect.height);
+
+        // Nearest recorded point within a few pixels
+        let nearest = null;
+        let best = 8;
+        trajectory.forEach(point => {
+            if (!point.debug) return;
+            const plotted = this.canvas.project(point.rates);
+            const pixel = this.canvas.rateToPixel(plotted.x, plotted.y);
+            const d = Math.hypot(pixel.x - x, pixel.y - y);
+            if (d < best) {
+                best = d;
+                nearest = point;
+            }
+        });
+        if (nearest) this.showSnapshot(nearest);
+    }
+
+    /**
+     * Show what every sender's script did in one step: variables before and
+     * after, the branches taken and the line that set the rate
+     */
+    showSnapshot(point) {
+        const container = document.getElementById('debug-snapshot');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const el = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+        const format = (v) => (v === undefined ? '' : Number.isInteger(v) ? String(v) : v.toFixed(6));
+
+        container.appendChild(el('div', 'md:col-span-2 font-bold text-gray-700 dark:text-gray-200',
+            `Step ${point.step} at t = ${this.formatTime(point.time)}: traffic ${point.oldRates.reduce((sum, r) => sum + r, 0).toFixed(4)}, ` +
+            `capacity ${point.capacity}, distance after ${point.distance.toFixed(4)}`));
+
+        const acted = new Set(point.debug.map(snapshot => snapshot.index));
+        point.debug.forEach(snapshot => {
+            const lines = this.engine.senders[snapshot.index].scriptContent.split('\n');
+            const card = el('div', 'rounded-lg border border-gray-200 dark:border-gray-700 p-3 space-y-2');
+            card.appendChild(el('div', 'font-bold text-sm text-gray-800 dark:text-white',
+                `${this.flowLabel(snapshot.index)}: rate ${format(point.oldRates[snapshot.index])} → ${format(snapshot.rate)}`));
+
+            // Variables before and after, changed ones highlighted
+            const table = el('table', 'w-full');
+            const head = el('tr', 'text-gray-400');
+            ['Variable', 'Before', 'After'].forEach(h => head.appendChild(el('th', 'text-left font-normal', h)));
+            table.appendChild(head);
+            const names = [...new Set([...Object.keys(snapshot.before), ...Object.keys(snapshot.after)])];
+            names.forEach(name => {
+                const changed = snapshot.before[name] !== snapshot.after[name];
+                const row = el('tr', changed ? 'text-amber-600 dark:text-amber-400 font-semibold' : 'text-gray-700 dark:text-gray-300');
+                row.append(el('td', '', name), el('td', '', format(snapshot.before[name])), el('td', '', format(snapshot.after[name])));
+                table.appendChild(row);
+            });
+            card.appendChild(table);
+
+            // Branches and the line that produced the rate
+            snapshot.branches.forEach(({ line, branch }) => {
+                const taken = branch === 'if' ? 'if branch' : branch === 'else' ? 'else branch' : 'condition false, no else';
+                card.appendChild(el('div', 'text-purple-600 dark:text-purple-400',
+                    `line ${line}: ${taken}  ${(lines[line - 1] || '').trim()}`));
+            });
+            if (snapshot.truncated) {
+                card.appendChild(el('div', 'text-gray-400', '… further branches not recorded'));
+            }
+            card.appendChild(el('div', 'text-emerald-600 dark:text-emerald-400', snapshot.rateLine !== null
+                ? `rate set at line ${snapshot.rateLine}: ${(lines[snapshot.rateLine - 1] || '').trim()}`
+                : 'rate not assigned: kept its value'));
+            snapshot.errors.forEach(err => card.appendChild(el('div', 'text-red-600 dark:text-red-400', err)));
+
+            container.appendChild(card);
+        });
+
+        point.rates.forEach((rate, i) => {
+            if (!acted.has(i)) {
+                container.appendChild(el('div', 'rounded-lg border border-dashed border-gray-200 dark:border-gray-700 p-3 text-gray-400',
+                    `${this.flowLabel(i)}: waiting for its RTT (${this.engine.rtt[i]}), rate ${format(rate)}`));
+            }
+        });
+    }
+
+    // ========== Phase Portrait ==========
+
+    runPortrait() {
+        if (this.engine.isRunning) {
+            this.log('[ERR] Stop the running simulation before drawing a phase portrait');
+            return;
+        }
+
+        const count = Math.min(20, Math.max(2, parseInt(document.getElementById('portrait-grid')?.value) || 6));
+        this.configureExtraFlows();
+        const engine = this.engine.clone();
+        const starts = gridPoints(count, this.engine.getRateLimit()).map(point => ({
+            point,
+            rates: this.buildStartRates(point.x, point.y)
+        }));
+
+        const began = performance.now();
+        this.portrait = runPhasePortrait(engine, this.buildRunParams(), starts, { tolerance: this.metricsTolerance });
+        this.canvas.setScale(this.engine.getRateLimit());
+        this.canvas.setOptimum(this.engine.optimumAt(0));
+        this.redrawCanvas();
+
+        const converged = this.portrait.filter(run => run.metrics.convergedAt !== null);
+        const slowest = Math.max(0, ...converged.map(run => run.metrics.convergedAt));
+        this.log(`[OK] Phase portrait: ${this.portrait.length} start points in ${Math.round(performance.now() - began)} ms`);
+        this.log(`[OK] ${converged.length} of ${this.portrait.length} converged` +
+            (converged.length > 0 ? `, slowest at t = ${this.formatTime(slowest)}` : ''));
+        if (this.portrait.some(run => run.errors.length > 0)) {
+            this.log('[ERR] Some runs reported script errors');
+        }
+    }
+
+    // ========== Parameter Sweep ==========
+
+    setupSweep() {
+        const sweepCanvas = document.getElementById('sweep-canvas');
+        if (!sweepCanvas) return;
+        this.heatmap = new HeatmapVisualization(sweepCanvas);
+
+        const outcomeSelect = document.getElementById('sweep-outcome');
+        if (outcomeSelect) {
+            for (const [key, outcome] of Object.entries(SWEEP_OUTCOMES)) {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = outcome.label;
+                outcomeSelect.appendChild(option);
+            }
+            outcomeSelect.addEventListener('change', () => this.renderSweep());
+        }
+
+        document.getElementById('sweep-run')?.addEventListener('click', () => this.runParamSweep());
+
+        const cellAtEvent = (e) => {
+            const rect = sweepCanvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * (sweepCanvas.width / rect.width);
+            const y = (e.clientY - rect.top) * (sweepCanvas.height / rect.height);
+            const cell = this.sweep ? this.heatmap.cellAt(x, y) : null;
+            return cell ? { ...cell, data: this.sweep.cells[cell.row][cell.column] } : null;
+        };
+
+        sweepCanvas.addEventListener('mousemove', (e) => {
+            const info = document.getElementById('sweep-info');
+            const cell = cellAtEvent(e);
+            if (info) info.textContent = cell ? this.describeSweepCell(cell.data) : '';
+        });
+        sweepCanvas.addEventListener('click', (e) => {
+            const cell = cellAtEvent(e);
+            if (cell) this.replaySweepCell(cell);
+        });
+    }
+
+    /**
+     * Offer the parameters of the loaded scripts as sweep axes. A parameter
+     * both scripts define can be swept for both users at once.
+     */
+    updateSweepOptions(keepSelection = true) {
+        const xSelect = document.getElementById('sweep-x');
+        const ySelect = document.getElementById('sweep-y');
+        if (!xSelect || !ySelect) return;
+
+        const names = (i) => this.engine.getParams(i).filter(p => !p.isStatic).map(p => p.name);
+        const user2 = names(0);
+        const user1 = names(1);
+        const options = [];
+        user2.filter(name => user1.includes(name)).forEach(name => {
+            options.push({ value: `both:${name}`, label: `${name} (both users)` });
+        });
+        user1.forEach(name => options.push({ value: `1:${name}`, label: `${name} (User 1)` }));
+        user2.forEach(name => options.push({ value: `0:${name}`, label: `${name} (User 2)` }));
+
+        [xSelect, ySelect].forEach(select => {
+            const previous = select.value;
+            const kept = keepSelection &&
+                (options.some(option => option.value === previous) || (previous === '' && select === ySelect));
+            select.innerHTML = '';
+            const choices = select === ySelect ? [{ value: '', label: 'None' }, ...options] : options;
+            choices.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+
+            if (kept) {
+                select.value = previous;
+            } else {
+                // Default to the first two parameters, e.g. alpha on X and beta on Y
+                select.value = (select === xSelect ? options[0]?.value : options[1]?.value) ?? '';
             }
         });
     }
 
+    /**
+     * Build a sweep axis from a selector value such as 'both:alpha' or '1:beta';
+     * throws if the script no longer has that parameter
+     */
+    sweepAxis(value, steps) {
+        const [target, name] = value.split(':');
+        // Extra flows running User 2's script share its parameters
+        const followers = Array.from({ length: this.engine.getSenderCount() - 2 }, (_, i) => i + 2)
+            .filter(i => !this.extraFlow(i).script);
+        let senders;
+        if (target === 'both') {
+            senders = [0, 1, ...followers];
+        } else if (target === '0') {
+            senders = [0, ...followers];
+        } else {
+            senders = [1];
+        }
+
+        const param = this.engine.getParams(target === '1' ? 1 : 0).find(p => p.name === name);
+        const who = target === 'both' ? '' : target === '1' ? ' (User 1)' : ' (User 2)';
+        if (!param) {
+            throw new Error(`The script no longer defines the sweep parameter ${name}${who}`);
+        }
+        return {
+            name,
+            label: `${name}${who}`,
+            senders,
+            values: paramGridValues(param, steps),
+            choices: param.choices
+        };
+    }
+
+    runParamSweep() {
+        if (this.engine.isRunning) {
+            this.log('[ERR] Stop the running simulation before sweeping');
+            return;
+        }
+
+        const xValue = document.getElementById('sweep-x')?.value;
+        const yValue = document.getElementById('sweep-y')?.value;
+        if (!xValue) {
+            this.log('[ERR] The scripts define no parameters to sweep');
+            return;
+        }
+        if (xValue === yValue) {
+            this.log('[ERR] Choose two different sweep parameters');
+            return;
+        }
+
+        const steps = (id) => Math.min(50, Math.max(1, parseInt(document.getElementById(id)?.value) || 10));
+        const x = parseFloat(document.getElementById('start-x')?.value || 0);
+        const y = parseFloat(document.getElementById('start-y')?.value || 0);
+        this.configureExtraFlows();
+        const engine = this.engine.clone();
+        engine.setStartRates(this.buildStartRates(x, y));
+
+        const began = performance.now();
+        let axes;
+        try {
+            axes = [this.sweepAxis(xValue, steps('sweep-x-steps'))];
+            if (yValue) axes.push(this.sweepAxis(yValue, steps('sweep-y-steps')));
+            this.sweep = runSweep(engine, this.buildRunParams(), axes, { tolerance: this.metricsTolerance });
+        } catch (e) {
+            this.log(`[ERR] ${e.message}`);
+            return;
+        }
+        this.sweep.start = { x, y };
+        this.sweep.selected = null;
+
+        const runs = this.sweep.cells.length * this.sweep.cells[0].length;
+        const failed = this.sweep.cells.flat().filter(cell => cell.errors.length > 0).length;
+        this.log(`[OK] Sweep of ${axes.map(a => a.label).join(' x ')}: ${runs} runs in ${Math.round(performance.now() - began)} ms`);
+        if (failed > 0) {
+            this.log(`[ERR] ${failed} run(s) reported script errors`);
+        }
+        this.renderSweep();
+    }
+
+    renderSweep() {
+        if (!this.sweep || !this.heatmap) return;
+        const key = document.getElementById('sweep-outcome')?.value || 'distance';
+        this.heatmap.render(this.sweep, sweepOutcome(this.sweep, key), {
+            lowerIsBetter: SWEEP_OUTCOMES[key].lowerIsBetter,
+            selected: this.sweep.selected
+        });
+    }
+
+    describeSweepCell(cell) {
+        const key = document.getElementById('sweep-outcome')?.value || 'distance';
+        const outcome = SWEEP_OUTCOMES[key];
+        const value = outcome.value(cell.metrics, cell.last);
+        const params = this.sweep.axes.map((axis, i) => {
+            const value = cell.values[i];
+            return `${axis.label} = ${axis.choices ? axis.choices[value] : value.toFixed(3)}`;
+        }).join(', ');
+        return `${params} → ${Number.isFinite(value) ? value.toFixed(4) : 'n/a'}`;
+    }
+
+    /**
+     * Load a sweep cell's parameters into the sliders and replay its run on the main canvas
+     */
+    replaySweepCell({ row, column, data }) {
+        this.sweep.axes.forEach((axis, i) => {
+            axis.senders.filter(index => index < 2).forEach(index => {
+                this.setParamValue(index, axis.name, data.values[i]);
+            });
+        });
+        this.sweep.selected = { row, column };
+        this.renderSweep();
+
+        const { x, y } = this.sweep.start;
+        const xInput = document.getElementById('start-x');
+        const yInput = document.getElementById('start-y');
+        if (xInput) xInput.value = x;
+        if (yInput) yInput.value = y;
+
+        this.log(`[SYS] Replaying sweep cell: ${this.describeSweepCell(data)}`);
+        this.restartSimulation(x, y);
+    }
+
+    /**
+     * Start a simulation, stopping a running one first
+     */
+    async restartSimulation(x, y) {
+        if (this.engine.isRunning) {
+            this.engine.stop();
+            await this.activeRun;
+        }
+        await this.runSimulation(x, y);
+    }
+
     handleCanvasClick(event) {
         const rect = event.target.getBoundingClientRect();
         const x = event.clientX - rect.left;
@@ -360,83 +2045,211 @@ class CAVToolApp {
         const x = startX !== null ? startX : parseFloat(xInput?.value || 0);
         const y = startY !== null ? startY : parseFloat(yInput?.value || 0);
 
-        this.engine.setStartPosition(x, y);
+        this.configureExtraFlows();
+        this.engine.setStartRates(this.buildStartRates(x, y));
         this.log(`[SYS] Starting simulation at (${x.toFixed(3)}, ${y.toFixed(3)})`);
+        this.lintScripts();
 
-        // Clear and initialize canvas
-        this.canvas.init();
-        this.canvas.drawStartPoint(x, y);
+        // Redraw the stored runs and mark the new start point
+        this.cancelLiveUpdate();
+        this.portrait = null;
+        const start = this.canvas.project(this.engine.getRates());
+        this.canvas.setScale(this.engine.getRateLimit());
+        this.canvas.setOptimum(this.engine.optimumAt(0));
+        this.canvas.redrawTrajectory([], this.runs.visible());
+        this.canvas.drawStartPoint(start.x, start.y);
 
-        // Reset timeline if enabled
-        if (this.timeline) {
-            this.timeline.clear();
-        }
+        // Reset timeline if enabled, keeping the stored runs
+        this.refreshTimeline();
+        this.updateMetrics();
+
+        const runParams = this.buildRunParams();
 
         // Setup callbacks
+        let capacity = this.engine.capacityAt(0);
         this.engine.onStep = (stepData) => {
-            this.canvas.drawSegment(
-                { x: stepData.oldX, y: stepData.oldY },
-                { x: stepData.x, y: stepData.y },
-                stepData.progress
-            );
-            this.canvas.drawCurrentPoint(stepData.x, stepData.y);
+            const from = this.canvas.project(stepData.oldRates);
+            const to = this.canvas.project(stepData.rates);
+
+            if (stepData.capacity !== capacity) {
+                // The reference lines moved: redraw everything around them
+                capacity = stepData.capacity;
+                this.canvas.setOptimum(stepData.optimum);
+                this.liveRedraw = true;
+            } else if (!this.liveRedraw) {
+                this.canvas.drawSegment(from, to, stepData.progress);
+                if (stepData.dropped > 0) {
+                    this.canvas.drawDropMarker(from.x, from.y);
+                }
+                this.canvas.drawCurrentPoint(to.x, to.y);
+            }
 
             if (this.timeline) {
-                this.timeline.addDataPoint(
-                    stepData.step,
-                    stepData.y, // User 1 (Y-axis)
-                    stepData.x, // User 2 (X-axis)
-                    stepData.distance
-                );
-                this.timeline.render(this.engine.duration);
-                this.timeline.drawLegend();
+                this.addTimelinePoint(stepData);
             }
+            this.scheduleLiveUpdate();
         };
 
         this.engine.onComplete = (trajectory) => {
+            this.cancelLiveUpdate();
             const last = trajectory[trajectory.length - 1];
             this.log(`[OK] Simulation complete. Final: (${last.x.toFixed(3)}, ${last.y.toFixed(3)})`);
             this.log(`[OK] Distance from optimum: ${last.distance.toFixed(4)}`);
+
+            const metrics = this.updateMetrics();
+            if (metrics) {
+                const converged = metrics.convergedAt !== null ? `t = ${this.formatTime(metrics.convergedAt)}` : 'not within tolerance';
+                this.log(`[OK] Jain index: ${metrics.fairness.toFixed(4)}, utilization: ${(metrics.utilization * 100).toFixed(1)}%, converged: ${converged}`);
+            }
+            if (!this.engine.feedback.isIdeal() || this.engine.rttJitter > 0) {
+                this.log(`[SYS] Random seed of this run: ${this.engine.feedback.runSeed}`);
+            }
+
+            if (this.engine.debug) {
+                this.setDebugStatus(`Finished at step ${last.step}. Hover a trajectory point to inspect it.`);
+            }
+
+            // Keep the run for comparison and show it in its own color
+            const overlays = this.runs.visible();
+            this.currentRun = this.storeRun(trajectory, runParams);
+            this.redrawCanvas();
+            this.refreshTimeline();
+
+            if (document.getElementById('record-run')?.checked) {
+                this.recordRun(trajectory, overlays);
+            }
         };
 
         this.engine.onError = (errors) => {
             errors.forEach(err => this.log(`[ERR] ${err}`));
         };
 
-        await this.engine.run(this.params);
+        if (this.engine.debug) {
+            // Debug runs wait for Step, Run to step or Continue
+            this.engine.pause();
+            this.setDebugStatus('Paused before step 1');
+        }
+        this.activeRun = this.engine.run(runParams);
+        await this.activeRun;
+    }
+
+    /**
+     * Redraw what covers the whole trajectory of a running simulation (the
+     * diagram after the capacity moved, the timeline and the metrics) at most
+     * once per frame, so a long run does not rescan it on every step
+     */
+    scheduleLiveUpdate() {
+        if (this.liveFrame !== null) return;
+        this.liveFrame = requestAnimationFrame(() => {
+            this.liveFrame = null;
+            if (this.liveRedraw) {
+                this.liveRedraw = false;
+                this.canvas.redrawTrajectory(this.engine.getTrajectory(), this.runs.visible());
+            }
+            if (this.timeline) {
+                this.timeline.render(this.engine.duration);
+                this.timeline.drawLegend();
+            }
+            this.updateMetrics();
+        });
+    }
+
+    cancelLiveUpdate() {
+        if (this.liveFrame !== null) cancelAnimationFrame(this.liveFrame);
+        this.liveFrame = null;
+        this.liveRedraw = false;
+    }
+
+    /**
+     * Flows beyond the two user panels run the script and RTT set in the
+     * Flows panel, by default User 2's, with their own weight (default 1)
+     * and feedback delay (default none)
+     */
+    configureExtraFlows() {
+        const template = this.engine.senders[0];
+        for (let i = 2; i < this.engine.getSenderCount(); i++) {
+            const flow = this.extraFlow(i);
+            const source = flow.script?.source ?? template.scriptContent;
+            if (this.engine.senders[i].scriptContent !== source) {
+                this.engine.setScript(i, source);
+            }
+            this.engine.setRTT(i, flow.rtt ?? this.engine.rtt[0]);
+            this.engine.setWeight(i, flow.weight ?? 1);
+            this.engine.setFeedbackDelay(i, flow.delay ?? 0);
+        }
+    }
+
+    /**
+     * Start rates for all flows: User 2 starts at x, User 1 at y and any
+     * further flows at their own start rate, else spread evenly between the two
+     */
+    buildStartRates(x, y) {
+        const count = this.engine.getSenderCount();
+        const rates = [x, y];
+        for (let i = 2; i < count; i++) {
+            rates.push(this.extraFlow(i).start ?? x + (y - x) * (i - 1) / (count - 1));
+        }
+        return rates;
+    }
+
+    /**
+     * Per-sender parameter sets. Extra flows running User 2's script share
+     * its values; a flow with a script of its own runs with the defaults.
+     */
+    buildRunParams() {
+        const params = {};
+        for (const [sender, values] of Object.entries(this.params)) {
+            params[sender] = { ...values };
+        }
+        for (let i = 2; i < this.engine.getSenderCount(); i++) {
+            params[`sender${i}`] = this.extraFlow(i).script ? {} : { ...this.params.sender0 };
+        }
+        return params;
+    }
+
+    /**
+     * Simulation time for display, without float noise (e.g. 2.3 instead of 2.3000000000000003)
+     */
+    formatTime(time) {
+        return String(Number(time.toFixed(3)));
+    }
+
+    /**
+     * Recompute the metrics of the current trajectory and show them in the panel
+     * @returns {Object|null} - The summary from summarizeMetrics()
+     */
+    updateMetrics() {
+        const metrics = summarizeMetrics(this.engine.getTrajectory(), { tolerance: this.metricsTolerance });
+        const format = {
+            fairness: v => v.toFixed(4),
+            utilization: v => `${(v * 100).toFixed(1)}%`,
+            meanUtilization: v => `${(v * 100).toFixed(1)}%`,
+            oscillation: v => `±${(v * 100).toFixed(1)}%`,
+            overshoots: v => String(v),
+            convergedAt: v => (v === null ? 'not yet' : this.formatTime(v))
+        };
+
+        document.querySelectorAll('#metrics-panel [data-metric]').forEach(el => {
+            const key = el.dataset.metric;
+            el.textContent = metrics && key in format ? format[key](metrics[key]) : '–';
+        });
+        return metrics;
     }
 
     clearCanvas() {
         this.engine.stop();
         this.engine.reset();
+        this.portrait = null;
+        this.runs.clear();
+        this.renderRunList();
         if (this.canvas) {
             this.canvas.init();
         }
-        if (this.timeline) {
-            this.timeline.clear();
-        }
+        this.refreshTimeline();
+        this.updateMetrics();
         this.log('[SYS] Canvas cleared');
     }
 
-    resetParamsForPanel(panel) {
-        const inputs = panel?.querySelectorAll('input[type="number"]');
-        inputs?.forEach(input => {
-            if (input.dataset.param) {
-                const defaultVal = parseFloat(input.dataset.default || input.min);
-                input.value = defaultVal;
-                const senderIndex = parseInt(input.dataset.sender);
-                if (!isNaN(senderIndex)) {
-                    this.params[`sender${senderIndex}`][input.dataset.param] = defaultVal;
-                }
-                // Update corresponding range input
-                const container = input.closest('.mb-6');
-                const rangeInput = container?.querySelector('input[type="range"]');
-                if (rangeInput) rangeInput.value = defaultVal;
-            }
-        });
-        this.log('[SYS] Parameters reset to defaults');
-    }
-
     handleExit() {
         this.log('[SYS] Goodbye!');
         // In a web app, we can't really "exit", but we can reset
@@ -466,4 +2279,4 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // Export for use in other modules
-export { CAVToolApp, DEFAULT_SCRIPTS };
+export { CAVToolApp };
@@ -0,0 +1,140 @@
+/**
+ * Capacity Model
+ * Bottleneck link capacity as a function of the simulation step
+ *
+ * Specs (object form / text form):
+ *   { type: 'constant', value }                      "1.5"
+ *   { type: 'steps', points: [[step, value], ...] }  "steps:0=1,50=0.6,100=1"
+ *   { type: 'sine', mean, amplitude, period, phase } "sine:1,0.3,40[,phase]"
+ */
+
+export class CapacityModel {
+    /**
+     * @param {number|string|Object} spec - Capacity description, see above
+     */
+    constructor(spec = 1) {
+        this.spec = CapacityModel.normalize(spec);
+    }
+
+    /**
+     * Validate a spec and bring it into object form
+     */
+    static normalize(spec) {
+        if (typeof spec === 'number') {
+            spec = { type: 'constant', value: spec };
+        } else if (typeof spec === 'string') {
+            spec = CapacityModel.parse(spec);
+        }
+
+        switch (spec?.type) {
+            case 'constant':
+                if (!(spec.value > 0)) {
+                    throw new Error('Capacity must be a positive number');
+                }
+                return { type: 'constant', value: spec.value };
+            case 'steps': {
+                const points = (spec.points || [])
+                    .map(([step, value]) => [step, value])
+                    .sort((a, b) => a[0] - b[0]);
+                if (points.length === 0 || points.some(([step, value]) => !(step >= 0) || !(value > 0))) {
+                    throw new Error('A capacity schedule needs step=value pairs with positive values');
+                }
+                return { type: 'steps', points };
+            }
+            case 'sine': {
+                const { mean, amplitude = 0, period, phase = 0 } = spec;
+                if (!(mean > 0) || !(period > 0) || Math.abs(amplitude) >= mean) {
+                    throw new Error('A sine capacity needs mean > |amplitude| and a positive period');
+                }
+                return { type: 'sine', mean, amplitude, period, phase };
+            }
+            default:
+                throw new Error(`Unknown capacity type '${spec?.type}'`);
+        }
+    }
+
+    /**
+     * Parse the text form of a spec
+     */
+    static parse(text) {
+        const trimmed = String(text).trim();
+        const [type, args = ''] = trimmed.includes(':') ? trimmed.split(/:(.*)/s) : ['constant', trimmed];
+        const numbers = (list) => list.map(v => {
+            const n = parseFloat(v);
+            if (isNaN(n)) throw new Error(`Invalid number '${v}' in capacity '${trimmed}'`);
+            return n;
+        });
+
+        switch (type.trim().toLowerCase()) {
+            case 'constant':
+                return { type: 'constant', value: numbers([args])[0] };
+            case 'steps':
+                return {
+                    type: 'steps',
+                    points: args.split(',').filter(p => p.trim()).map(p => numbers(p.split('=')))
+                };
+            case 'sine': {
+                const [mean, amplitude, period, phase] = numbers(args.split(',').filter(p => p.trim()));
+                return { type: 'sine', mean, amplitude, period, phase };
+            }
+            default:
+                throw new Error(`Unknown capacity type '${type}'`);
+        }
+    }
+
+    /**
+     * Capacity at a simulation step (or fractional time)
+     */
+    at(step) {
+        const spec = this.spec;
+        switch (spec.type) {
+            case 'steps': {
+                let value = spec.points[0][1];
+                for (const [start, v] of spec.points) {
+                    if (start > step) break;
+                    value = v;
+                }
+                return value;
+            }
+            case 'sine':
+                return spec.mean + spec.amplitude * Math.sin(2 * Math.PI * (step + spec.phase) / spec.period);
+            default:
+                return spec.value;
+        }
+    }
+
+    /**
+     * Highest capacity reached up to the given step
+     */
+    peak(duration = Infinity) {
+        const spec = this.spec;
+        switch (spec.type) {
+            case 'steps':
+                return Math.max(...spec.points.filter(([step], i) => i === 0 || step <= duration).map(([, v]) => v));
+            case 'sine':
+                return spec.mean + Math.abs(spec.amplitude);
+            default:
+                return spec.value;
+        }
+    }
+
+    isConstant() {
+        return this.spec.type === 'constant';
+    }
+
+    toJSON() {
+        return this.spec;
+    }
+
+    toString() {
+        const spec = this.spec;
+        switch (spec.type) {
+            case 'steps':
+                return `steps:${spec.points.map(([step, value]) => `${step}=${value}`).join(',')}`;
+            case 'sine':
+                return `sine:${spec.mean},${spec.amplitude},${spec.period}` + (spec.phase ? `,${spec.phase}` : '');
+            default:
+                return String(spec.value);
+        }
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * Script Editor
+ * Textarea-based CAV editor with token highlighting and inline diagnostics
+ */
+
+import { TokenType, Tokenizer } from './tokenizer.js';
+import { ScriptParser } from './parser.js';
+import { CONTEXT_VARIABLES } from './evaluator.js';
+import { diagnosticFromError, formatDiagnostic, lintScript } from './linter.js';
+
+// Tailwind classes per token type
+const TOKEN_CLASSES = {
+    [TokenType.NUMBER]: 'text-amber-500',
+    [TokenType.NAME]: 'text-sky-600 dark:text-sky-300',
+    [TokenType.KEYWORD]: 'text-purple-600 dark:text-purple-400 font-semibold',
+    [TokenType.OPERATOR]: 'text-pink-600 dark:text-pink-400',
+    [TokenType.ASSIGN]: 'text-pink-600 dark:text-pink-400',
+    [TokenType.PREPROCESSOR]: 'text-emerald-600 dark:text-emerald-400',
+    function: 'text-teal-600 dark:text-teal-300',
+    context: 'text-orange-600 dark:text-orange-300',
+    comment: 'text-gray-400 italic',
+    invalid: 'text-red-500 underline decoration-wavy'
+};
+
+/**
+ * Split a script into highlighted segments using the CAV tokenizer.
+ * Text between tokens is whitespace or a comment; characters the tokenizer
+ * rejects are marked invalid.
+ * @param {string} source - Script source
+ * @returns {Array} - [{ text, kind }] where kind is a TokenType or 'comment'/'invalid'/null
+ */
+export function highlightSegments(source) {
+    const tokenizer = new Tokenizer(source);
+    tokenizer.tokenize();
+    const invalid = tokenizer.errors.map(({ span }) => ({ type: 'invalid', start: span.start, end: span.end }));
+    const tokens = [...tokenizer.tokens.filter(t => t.type !== TokenType.EOF), ...invalid].sort((a, b) => a.start - b.start);
+    const segments = [];
+    let pos = 0;
+
+    const pushGap = (end) => {
+        const gap = source.substring(pos, end);
+        let last = 0;
+        for (const match of gap.matchAll(/#[^\n]*/g)) {
+            if (match.index > last) segments.push({ text: gap.substring(last, match.index), kind: null });
+            segments.push({ text: match[0], kind: 'comment' });
+            last = match.index + match[0].length;
+        }
+        if (last < gap.length) segments.push({ text: gap.substring(last), kind: null });
+        pos = end;
+    };
+
+    tokens.forEach((token, i) => {
+        pushGap(token.start);
+        let kind = token.type;
+        const next = tokens[i + 1];
+        if (token.type === TokenType.NAME && next?.type === TokenType.LPAREN) {
+            kind = 'function';
+        } else if (token.type === TokenType.NAME && token.value in CONTEXT_VARIABLES) {
+            kind = 'context';
+        }
+        segments.push({ text: source.substring(token.start, token.end), kind });
+        pos = token.end;
+    });
+
+    pushGap(source.length);
+    return segments;
+}
+
+/**
+ * Collect problems in a script: syntax errors and lint findings (see
+ * lintScript), and, if there are no errors, runtime errors from trial
+ * evaluations on both sides of the congestion threshold.
+ * @param {string} source - Script source
+ * @returns {Array} - [{ line, column, severity, message }], line and column are null when unknown
+ */
+export function diagnose(source) {
+    const diagnostics = lintScript(source);
+    if (diagnostics.some(d => d.severity === 'error')) {
+        return diagnostics;
+    }
+
+    const parser = new ScriptParser(source);
+    const errors = new Map(); // Text -> ScriptError, to report each error once
+    for (const traffic of [0.5, 1.5]) {
+        const context = {
+            rate: 0.5, traffic, step: 1, time: 1, rtt: 1, index: 0,
+            prevrate: 0.5, prevtraffic: traffic, loss: traffic > 1 ? 1 : 0, capacity: 1, weight: 1,
+            queue: 0, delay: 0, dropped: Math.max(0, traffic - 1)
+        };
+        parser.parse(context).errors.forEach(error => {
+            if (!errors.has(String(error))) errors.set(String(error), error);
+        });
+    }
+
+    return [...diagnostics, ...[...errors.values()].map(error => diagnosticFromError(error))];
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export class ScriptEditor {
+    /**
+     * @param {HTMLElement} root - Editor panel; children are found by their data-role attribute
+     */
+    constructor(root) {
+        this.root = root;
+        this.input = root.querySelector('[data-role="input"]');
+        this.highlight = root.querySelector('[data-role="highlight"]');
+        this.gutter = root.querySelector('[data-role="gutter"]');
+        this.diagnosticsList = root.querySelector('[data-role="diagnostics"]');
+        this.nameInput = root.querySelector('[data-role="name"]');
+        this.diagnostics = [];
+        this.refreshTimer = null;
+
+        this.onApply = null;  // (source) => void
+        this.onSave = null;   // (name, source) => void
+        this.onDelete = null; // (name) => void
+        this.onExport = null; // (name, source) => void
+
+        this.input.addEventListener('input', () => {
+            this.renderHighlight();
+            this.scheduleDiagnostics();
+        });
+        this.input.addEventListener('scroll', () => this.syncScroll());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        root.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this.handleAction(button.dataset.action));
+        });
+    }
+
+    setSource(source, name = '') {
+        this.input.value = source;
+        if (this.nameInput) this.nameInput.value = name;
+        this.refresh();
+    }
+
+    getSource() {
+        return this.input.value;
+    }
+
+    getName() {
+        return this.nameInput?.value.trim() || '';
+    }
+
+    show() {
+        this.root.classList.remove('hidden');
+        this.refresh();
+    }
+
+    hide() {
+        this.root.classList.add('hidden');
+    }
+
+    isVisible() {
+        return !this.root.classList.contains('hidden');
+    }
+
+    refresh() {
+        this.renderHighlight();
+        this.runDiagnostics();
+    }
+
+    scheduleDiagnostics() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.runDiagnostics(), 250);
+    }
+
+    runDiagnostics() {
+        this.diagnostics = diagnose(this.getSource());
+        this.renderGutter();
+        this.renderDiagnostics();
+    }
+
+    renderHighlight() {
+        const html = highlightSegments(this.getSource()).map(({ text, kind }) => {
+            const cls = kind ? TOKEN_CLASSES[kind] : null;
+            return cls ? `<span class="${cls}">${escapeHtml(text)}</span>` : escapeHtml(text);
+        }).join('');
+
+        // Trailing newline keeps the last empty line the same height as in the textarea
+        this.highlight.innerHTML = html + '\n';
+        this.renderGutter();
+        this.syncScroll();
+    }
+
+    renderGutter() {
+        if (!this.gutter) return;
+        const lineCount = this.getSource().split('\n').length;
+        // Errors take the marker of a line over warnings
+        const markedLines = new Map();
+        this.diagnostics.forEach(d => {
+            const marked = markedLines.get(d.line);
+            if (d.line !== null && (!marked || (marked.severity === 'warning' && d.severity === 'error'))) {
+                markedLines.set(d.line, d);
+            }
+        });
+
+        const lines = [];
+        for (let i = 1; i <= lineCount; i++) {
+            const marked = markedLines.get(i);
+            if (marked) {
+                const cls = marked.severity === 'warning' ? 'text-amber-500 bg-amber-500/10' : 'text-red-500 bg-red-500/10';
+                lines.push(`<div class="${cls} font-bold" title="${escapeHtml(marked.message)}">● ${i}</div>`);
+            } else {
+                lines.push(`<div>${i}</div>`);
+            }
+        }
+        this.gutter.innerHTML = lines.join('');
+    }
+
+    renderDiagnostics() {
+        if (!this.diagnosticsList) return;
+        this.diagnosticsList.innerHTML = '';
+
+        if (this.diagnostics.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'text-emerald-600 dark:text-emerald-400';
+            item.textContent = 'No problems found';
+            this.diagnosticsList.appendChild(item);
+            return;
+        }
+
+        this.diagnostics.forEach(d => {
+            const item = document.createElement('li');
+            const color = d.severity === 'warning' ? 'text-amber-600 dark:text-amber-400' : 'text-red-600 dark:text-red-400';
+            item.className = `${color} cursor-pointer hover:underline`;
+            item.textContent = formatDiagnostic(d);
+            if (d.line !== null) {
+                item.addEventListener('click', () => this.goToLine(d.line, d.column));
+            }
+            this.diagnosticsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Select a line, or put the cursor at a column of it
+     */
+    goToLine(line, column = null) {
+        const lines = this.getSource().split('\n');
+        const offset = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+        this.input.focus();
+        if (column !== null) {
+            this.input.setSelectionRange(offset + column - 1, offset + column - 1);
+        } else {
+            this.input.setSelectionRange(offset, offset + (lines[line - 1] || '').length);
+        }
+    }
+
+    syncScroll() {
+        this.highlight.scrollTop = this.input.scrollTop;
+        this.highlight.scrollLeft = this.input.scrollLeft;
+        if (this.gutter) this.gutter.scrollTop = this.input.scrollTop;
+    }
+
+    handleKeydown(e) {
+        // Tab inserts indentation instead of leaving the editor
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            this.input.setRangeText('    ', this.input.selectionStart, this.input.selectionEnd, 'end');
+            this.input.dispatchEvent(new Event('input'));
+        }
+
+        // Ctrl/Cmd+Enter applies the script
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.handleAction('apply');
+        }
+    }
+
+    handleAction(action) {
+        switch (action) {
+            case 'apply':
+                if (this.onApply) this.onApply(this.getSource());
+                break;
+            case 'save':
+                if (this.onSave) this.onSave(this.getName(), this.getSource());
+                break;
+            case 'delete':
+                if (this.onDelete) this.onDelete(this.getName());
+                break;
+            case 'export':
+                if (this.onExport) this.onExport(this.getName(), this.getSource());
+                break;
+            case 'close':
+                this.hide();
+                break;
+        }
+    }
+}
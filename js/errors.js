@@ -0,0 +1,74 @@
+/**
+ * Script Errors
+ * Errors of the tokenizer, parser and evaluator as structured objects: a
+ * code, a message and the span of source they refer to
+ */
+
+export const ErrorCode = {
+    UNEXPECTED_CHARACTER: 'UNEXPECTED_CHARACTER',
+    UNEXPECTED_TOKEN: 'UNEXPECTED_TOKEN',
+    EXPECTED_TOKEN: 'EXPECTED_TOKEN',
+    INVALID_FUNCTION: 'INVALID_FUNCTION',         // Misplaced, duplicate or reserved function definitions
+    INVALID_ASSIGNMENT: 'INVALID_ASSIGNMENT',     // Assignments to constants and read-only variables, reserved parameter names
+    RETURN_OUTSIDE_FUNCTION: 'RETURN_OUTSIDE_FUNCTION',
+    UNDEFINED_VARIABLE: 'UNDEFINED_VARIABLE',
+    UNKNOWN_FUNCTION: 'UNKNOWN_FUNCTION',
+    ARGUMENT_COUNT: 'ARGUMENT_COUNT',
+    DIVISION_BY_ZERO: 'DIVISION_BY_ZERO',
+    ITERATION_LIMIT: 'ITERATION_LIMIT',
+    CALL_DEPTH: 'CALL_DEPTH',
+    INTERNAL: 'INTERNAL'                          // Anything else, e.g. a malformed AST
+};
+
+/**
+ * Span from the start of one span (or token) to the end of another.
+ * Spans are { start, end, line, column, endLine, endColumn }: character
+ * offsets with end exclusive, lines and columns starting at 1.
+ */
+export function spanBetween(first, last) {
+    return {
+        start: first.start,
+        end: last.end,
+        line: first.line,
+        column: first.column,
+        endLine: last.endLine,
+        endColumn: last.endColumn
+    };
+}
+
+/**
+ * An error as text, e.g. "Division by zero at line 4, column 12"
+ * @param {Object} error - A ScriptError or its JSON form { message, span }
+ */
+export function formatError({ message, span }) {
+    return span ? `${message} at line ${span.line}, column ${span.column}` : message;
+}
+
+export class ScriptError extends Error {
+    /**
+     * @param {string} code - One of ErrorCode
+     * @param {string} message - What went wrong, without the position
+     * @param {Object|null} span - Source range the error refers to
+     */
+    constructor(code, message, span = null) {
+        super(message);
+        this.name = 'ScriptError';
+        this.code = code;
+        this.span = span;
+    }
+
+    toString() {
+        return formatError(this);
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message, span: this.span };
+    }
+}
+
+/**
+ * Any exception as a ScriptError, so error lists hold one kind of object
+ */
+export function toScriptError(e) {
+    return e instanceof ScriptError ? e : new ScriptError(ErrorCode.INTERNAL, e.message);
+}
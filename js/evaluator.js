@@ -0,0 +1,298 @@
+/**
+ * CAV Script Evaluator
+ * Executes a compiled CAV program (see ScriptParser.compile) against a set of variables
+ */
+
+import { ErrorCode, ScriptError } from './errors.js';
+
+// Built-in functions
+export const BUILTIN_FUNCTIONS = {
+    'abs': (args) => Math.abs(args[0]),
+    'cos': (args) => Math.cos(args[0]),
+    'sin': (args) => Math.sin(args[0]),
+    'tan': (args) => Math.tan(args[0]),
+    'exp': (args) => Math.exp(args[0]),
+    'sqrt': (args) => Math.sqrt(args[0]),
+    'int': (args) => Math.round(args[0]),
+    'pow': (args) => Math.pow(args[0], args[1]),
+    'min': (args) => Math.min(args[0], args[1]),
+    'max': (args) => Math.max(args[0], args[1]),
+    'random': (args, evaluator) => evaluator.random()
+};
+
+// Number of arguments each built-in function takes
+export const BUILTIN_ARITY = {
+    'abs': 1, 'cos': 1, 'sin': 1, 'tan': 1, 'exp': 1, 'sqrt': 1, 'int': 1,
+    'pow': 2, 'min': 2, 'max': 2,
+    'random': 0
+};
+
+// Built-in constants
+export const CONSTANTS = {
+    'pi': Math.PI,
+    'e': Math.E
+};
+
+// Reserved names the simulation sets before every evaluation.
+// Scripts may assign 'rate' (their new rate); all others are read-only.
+export const CONTEXT_VARIABLES = {
+    'rate': { readOnly: false, description: 'Current rate of this sender; assign the new rate to it' },
+    'traffic': { readOnly: true, description: 'Sum of all sender rates one RTT ago, as measured by this sender' },
+    'step': { readOnly: true, description: 'Number of the current update event, starting at 1' },
+    'time': { readOnly: true, description: 'Simulation time of this update' },
+    'rtt': { readOnly: true, description: 'Round trip time of this round, in time units (1 = one step)' },
+    'index': { readOnly: true, description: 'Index of this sender (0 = User 2 / X-axis, 1 = User 1 / Y-axis)' },
+    'prevrate': { readOnly: true, description: 'Rate of this sender at its previous evaluation' },
+    'prevtraffic': { readOnly: true, description: 'Traffic this sender saw at its previous evaluation' },
+    'loss': { readOnly: true, description: '1 if this sender saw a loss (by default: traffic exceeds the link capacity), else 0' },
+    'capacity': { readOnly: true, description: 'Capacity of the bottleneck link' },
+    'weight': { readOnly: true, description: 'Fair-share weight of this sender (1 = equal share)' },
+    'queue': { readOnly: true, description: 'Backlog in the bottleneck buffer, in rate × steps' },
+    'delay': { readOnly: true, description: 'Queueing delay at the bottleneck, in steps' },
+    'dropped': { readOnly: true, description: 'Traffic the bottleneck was dropping, per time unit' }
+};
+
+/**
+ * Whether a name is taken by a constant or a context variable. Both are
+ * matched in any case, like the constants themselves: RTT is rtt.
+ */
+export function isReservedName(name) {
+    const key = name.toLowerCase();
+    return key in CONSTANTS || key in CONTEXT_VARIABLES;
+}
+
+// Loop iterations and function calls allowed per evaluation unless configured otherwise
+export const DEFAULT_MAX_ITERATIONS = 10000;
+
+// Nesting depth of user-defined function calls
+const MAX_CALL_DEPTH = 64;
+
+// Branch decisions recorded per traced evaluation
+const MAX_TRACED_BRANCHES = 200;
+
+export class Evaluator {
+    /**
+     * @param {Array} values - Global variable values indexed by the slots assigned at
+     *                         compile time; assignments are written back into this array
+     * @param {Object} options - { maxIterations } total loop iterations and function calls allowed per run;
+     *                          { trace } an object with a rateSlot that receives the branches
+     *                          taken and the line of the last assignment to that slot;
+     *                          { random } generator behind the random() built-in
+     */
+    constructor(values = [], options = {}) {
+        this.values = values;
+        this.locals = null; // Local slots of the function being executed
+        this.functions = {};
+        this.maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+        this.iterations = 0;
+        this.depth = 0;
+        this.returnValue = 0;
+        this.trace = options.trace || null;
+        this.random = options.random || Math.random;
+        if (this.trace) {
+            this.trace.branches = [];
+            this.trace.truncated = false;
+            this.trace.rateLine = null;
+        }
+    }
+
+    /**
+     * Execute every statement of a program
+     * @param {Object} program - AST produced by ScriptParser.compile()
+     * @returns {Array} - The variable values after execution
+     */
+    run(program) {
+        this.functions = program.functions || {};
+        this.iterations = 0;
+        this.block(program.body);
+        return this.values;
+    }
+
+    // ========== Statements ==========
+
+    /**
+     * Execute statements in order
+     * @returns {boolean} - True if a return statement ended the block
+     */
+    block(statements) {
+        for (let i = 0; i < statements.length; i++) {
+            if (this.statement(statements[i])) return true;
+        }
+        return false;
+    }
+
+    statement(node) {
+        switch (node.type) {
+            case 'Assign':
+                this.assign(node, this.expression(node.value));
+                return false;
+            case 'If': {
+                const taken = this.expression(node.test) > 0;
+                if (this.trace) this.traceBranch(node, taken);
+                if (taken) {
+                    return this.block(node.consequent);
+                } else if (node.alternate) {
+                    return this.block(node.alternate);
+                }
+                return false;
+            }
+            case 'While':
+                while (this.expression(node.test) > 0) {
+                    this.countIteration(node);
+                    if (this.block(node.body)) return true;
+                }
+                return false;
+            case 'For':
+                this.statement(node.init);
+                while (this.expression(node.test) > 0) {
+                    this.countIteration(node);
+                    if (this.block(node.body)) return true;
+                    this.statement(node.update);
+                }
+                return false;
+            case 'Return':
+                this.returnValue = this.expression(node.value);
+                return true;
+            default:
+                throw new ScriptError(ErrorCode.INTERNAL, `Unknown statement '${node.type}'`, node.span);
+        }
+    }
+
+    assign(node, value) {
+        if (node.local) {
+            this.locals[node.slot] = value;
+        } else {
+            this.values[node.slot] = value;
+            if (this.trace && node.slot === this.trace.rateSlot) {
+                this.trace.rateLine = node.line;
+            }
+        }
+    }
+
+    /**
+     * Record which way an if statement went: 'if', 'else', or 'none' (no else branch)
+     */
+    traceBranch(node, taken) {
+        if (this.trace.branches.length >= MAX_TRACED_BRANCHES) {
+            this.trace.truncated = true;
+            return;
+        }
+        this.trace.branches.push({ line: node.line, branch: taken ? 'if' : node.alternate ? 'else' : 'none' });
+    }
+
+    /**
+     * Count a loop iteration or function call against the budget of the run,
+     * so neither endless loops nor exponential recursion can hang the page
+     */
+    countIteration(node) {
+        if (++this.iterations > this.maxIterations) {
+            throw new ScriptError(ErrorCode.ITERATION_LIMIT,
+                `Iteration limit (${this.maxIterations} loop iterations and function calls) exceeded`, node.span);
+        }
+    }
+
+    // ========== Expressions ==========
+
+    expression(node) {
+        switch (node.type) {
+            case 'Number':
+                return node.value;
+            case 'Variable':
+                return this.variable(node);
+            case 'Unary':
+                return -this.expression(node.argument);
+            case 'Binary':
+                return this.binary(node);
+            case 'Call':
+                return this.call(node);
+            default:
+                throw new ScriptError(ErrorCode.INTERNAL, `Unknown expression '${node.type}'`, node.span);
+        }
+    }
+
+    variable(node) {
+        const value = node.local ? this.locals[node.slot] : this.values[node.slot];
+        if (value !== undefined) {
+            return value;
+        }
+
+        // Check constants (case insensitive)
+        const lowerName = node.name.toLowerCase();
+        if (lowerName in CONSTANTS) {
+            return CONSTANTS[lowerName];
+        }
+
+        throw new ScriptError(ErrorCode.UNDEFINED_VARIABLE, `Undefined variable '${node.name}'`, node.span);
+    }
+
+    binary(node) {
+        const left = this.expression(node.left);
+
+        // Logical operators evaluate both sides, like the original interpreter
+        const right = this.expression(node.right);
+
+        switch (node.op) {
+            case '||': return (left > 0 || right > 0) ? 1 : 0;
+            case '&&': return (left > 0 && right > 0) ? 1 : 0;
+            case '==': return (left === right) ? 1 : 0;
+            case '!=': return (left !== right) ? 1 : 0;
+            case '<': return (left < right) ? 1 : 0;
+            case '>': return (left > right) ? 1 : 0;
+            case '<=': return (left <= right) ? 1 : 0;
+            case '>=': return (left >= right) ? 1 : 0;
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/':
+                if (right === 0) throw new ScriptError(ErrorCode.DIVISION_BY_ZERO, 'Division by zero', node.span);
+                return left / right;
+            case '%': return left % right;
+            default:
+                throw new ScriptError(ErrorCode.INTERNAL, `Unknown operator '${node.op}'`, node.span);
+        }
+    }
+
+    call(node) {
+        const args = node.args.map(arg => this.expression(arg));
+
+        // Look up function (case insensitive)
+        const lowerName = node.name.toLowerCase();
+        if (lowerName in this.functions) {
+            return this.callFunction(this.functions[lowerName], args, node);
+        }
+        if (lowerName in BUILTIN_FUNCTIONS) {
+            return BUILTIN_FUNCTIONS[lowerName](args, this);
+        }
+
+        throw new ScriptError(ErrorCode.UNKNOWN_FUNCTION, `Unknown function '${node.name}'`, node.span);
+    }
+
+    /**
+     * Run a user-defined function in a fresh local frame
+     */
+    callFunction(fn, args, node) {
+        if (args.length !== fn.params.length) {
+            throw new ScriptError(ErrorCode.ARGUMENT_COUNT,
+                `Function '${fn.name}' expects ${fn.params.length} argument(s), got ${args.length}`, node.span);
+        }
+        if (this.depth >= MAX_CALL_DEPTH) {
+            throw new ScriptError(ErrorCode.CALL_DEPTH, `Call depth limit (${MAX_CALL_DEPTH}) exceeded in '${fn.name}'`, node.span);
+        }
+        this.countIteration(node);
+
+        const frame = new Array(fn.localCount).fill(undefined);
+        for (let i = 0; i < args.length; i++) {
+            frame[i] = args[i];
+        }
+
+        const callerLocals = this.locals;
+        this.locals = frame;
+        this.depth++;
+        try {
+            return this.block(fn.body) ? this.returnValue : 0;
+        } finally {
+            this.locals = callerLocals;
+            this.depth--;
+        }
+    }
+}
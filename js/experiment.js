@@ -0,0 +1,157 @@
+/**
+ * Experiment
+ * Everything needed to repeat a run, as JSON for experiment files and
+ * shareable links (the URL hash)
+ *
+ * Schema (version 1): {
+ *   version: 1,
+ *   name: optional title,
+ *   duration, animationDelay, loopLimit, flows,
+ *   capacity: capacity spec in text form (see CapacityModel),
+ *   buffer: bottleneck buffer size,
+ *   jitter: relative RTT jitter,
+ *   feedback: { seed, randomLoss, redRange, noise },
+ *   start: { x, y },
+ *   senders: [User 2, User 1], each {
+ *     script: { name, source? } - source only for scripts that are not built-in,
+ *     params: { name: value },
+ *     rtt, weight, delay: feedback delay
+ *   },
+ *   extraFlows: optional, flows 3 and up, each {
+ *     script: { name, source? } or null = User 2's script and parameters,
+ *     rtt: or null = User 2's RTT,
+ *     start: or null = spread between the start rates of User 2 and User 1,
+ *     weight: or null = 1,
+ *     delay: feedback delay, or null = none
+ *   }
+ * }
+ */
+
+import { CapacityModel } from './capacity.js';
+import { FeedbackModel } from './feedback.js';
+import { DEFAULT_MAX_ITERATIONS } from './evaluator.js';
+
+export const EXPERIMENT_VERSION = 1;
+
+// Prefix of the URL hash that carries an experiment
+export const EXPERIMENT_HASH_KEY = 'experiment=';
+
+/**
+ * Validate an experiment and fill in the defaults
+ * @param {Object} data - Parsed experiment JSON
+ * @returns {Object} - Experiment in the form described above
+ */
+export function normalizeExperiment(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('An experiment must be a JSON object');
+    }
+    if (data.version !== undefined && data.version > EXPERIMENT_VERSION) {
+        throw new Error(`Experiment version ${data.version} is newer than this tool supports`);
+    }
+
+    const number = (value, name, fallback, min = 0) => {
+        const n = Number(value ?? fallback);
+        if (!Number.isFinite(n) || n < min) {
+            throw new Error(`Experiment ${name} must be a number of at least ${min}`);
+        }
+        return n;
+    };
+
+    const senders = data.senders;
+    if (!Array.isArray(senders) || senders.length !== 2) {
+        throw new Error('An experiment needs settings for both senders');
+    }
+
+    const { seed, randomLoss, redRange, noise } = FeedbackModel.normalize(data.feedback || {});
+
+    const script = (spec, who) => {
+        if (!spec?.name && typeof spec?.source !== 'string') {
+            throw new Error(`${who} needs a script name or source`);
+        }
+        return typeof spec.source === 'string'
+            ? { name: String(spec.name || 'custom.cav'), source: spec.source }
+            : { name: String(spec.name) };
+    };
+    const optional = (value, name, min) => (value === null || value === undefined ? null : number(value, name, 0, min));
+
+    return {
+        version: EXPERIMENT_VERSION,
+        name: data.name ? String(data.name) : '',
+        duration: number(data.duration, 'duration', 50, 1),
+        animationDelay: number(data.animationDelay, 'animation delay', 1, 1),
+        loopLimit: number(data.loopLimit, 'loop limit', DEFAULT_MAX_ITERATIONS, 1),
+        flows: number(data.flows, 'flow count', 2, 2),
+        capacity: String(new CapacityModel(data.capacity ?? 1)),
+        buffer: number(data.buffer, 'buffer size', 0),
+        jitter: number(data.jitter, 'RTT jitter', 0),
+        feedback: { seed, randomLoss, redRange, noise },
+        start: {
+            x: number(data.start?.x, 'start x', 0),
+            y: number(data.start?.y, 'start y', 0)
+        },
+        senders: senders.map((sender, i) => {
+            const params = {};
+            Object.entries(sender.params || {}).forEach(([name, value]) => {
+                params[name] = number(value, `parameter ${name}`, 0, -Infinity);
+            });
+            return {
+                script: script(sender?.script, `Sender ${i}`),
+                params,
+                rtt: number(sender.rtt, 'RTT', 1, 0.01),
+                weight: number(sender.weight, 'weight', 1, 0),
+                delay: number(sender.delay, 'feedback delay', 0)
+            };
+        }),
+        extraFlows: (Array.isArray(data.extraFlows) ? data.extraFlows : []).map((flow, i) => ({
+            script: flow?.script ? script(flow.script, `Flow ${i + 3}`) : null,
+            rtt: optional(flow?.rtt, 'RTT', 0.01),
+            start: optional(flow?.start, 'start rate', 0),
+            weight: optional(flow?.weight, 'weight', 0),
+            delay: optional(flow?.delay, 'feedback delay', 0)
+        }))
+    };
+}
+
+/**
+ * Parse the text of an experiment file
+ */
+export function parseExperiment(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not a valid experiment file: ${e.message}`);
+    }
+    return normalizeExperiment(data);
+}
+
+/**
+ * Encode an experiment for a URL hash (URL-safe base64 of the JSON)
+ */
+export function encodeExperiment(experiment) {
+    const bytes = new TextEncoder().encode(JSON.stringify(experiment));
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode an experiment from a URL hash ('#experiment=...', the '#' may be left out)
+ * @returns {Object|null} - The experiment, or null if the hash carries none
+ */
+export function decodeExperiment(hash) {
+    const text = String(hash || '').replace(/^#/, '');
+    if (!text.startsWith(EXPERIMENT_HASH_KEY)) return null;
+
+    const encoded = text.slice(EXPERIMENT_HASH_KEY.length).replace(/-/g, '+').replace(/_/g, '/');
+    let data;
+    try {
+        const binary = atob(encoded);
+        data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    } catch (e) {
+        throw new Error('The link does not contain a readable experiment');
+    }
+    return normalizeExperiment(data);
+}
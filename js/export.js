@@ -0,0 +1,74 @@
+/**
+ * Run Export
+ * A finished run as a JSON document or CSV table, shared by the web app
+ * and the command line tool
+ */
+
+import { summarizeMetrics } from './metrics.js';
+
+/**
+ * The recorded fields of each trajectory point
+ * @param {Array} trajectory - Points from SimulationEngine.getTrajectory()
+ */
+export function trajectoryRecords(trajectory) {
+    return trajectory.map(point => ({
+        step: point.step,
+        time: point.time,
+        updated: point.updated,
+        rates: point.rates,
+        traffic: point.traffic,
+        capacity: point.capacity,
+        optimum: point.optimum,
+        distance: point.distance,
+        fairness: point.fairness,
+        utilization: point.utilization,
+        queue: point.queue,
+        delay: point.delay,
+        dropped: point.dropped
+    }));
+}
+
+/**
+ * Settings, metrics and trajectory of the engine's last run
+ * @param {SimulationEngine} engine - Engine that ran
+ * @param {Object} options - { scripts: name per sender, tolerance: converged band for the metrics }
+ * @returns {Object} - { scripts, steps, capacity, buffer, rtt, jitter, weights, feedback, tolerance, metrics, trajectory }
+ */
+export function runDocument(engine, { scripts, tolerance }) {
+    const trajectory = engine.getTrajectory();
+    return {
+        scripts,
+        steps: engine.duration,
+        capacity: String(engine.capacityModel),
+        buffer: engine.queue.size,
+        rtt: [...engine.rtt],
+        jitter: engine.rttJitter,
+        weights: engine.getWeights(),
+        feedback: { ...engine.feedback.toJSON(), seed: engine.feedback.runSeed },
+        tolerance,
+        metrics: summarizeMetrics(trajectory, { tolerance }),
+        trajectory: trajectoryRecords(trajectory)
+    };
+}
+
+/**
+ * A run document as CSV: one row per trajectory point, then a blank line and the metrics
+ */
+export function runToCSV(run) {
+    const flows = run.trajectory[0]?.rates.length ?? 0;
+    const header = ['step', 'time'];
+    for (let i = 0; i < flows; i++) header.push(`rate${i}`);
+    header.push('traffic', 'capacity', 'distance', 'fairness', 'utilization', 'queue', 'delay', 'dropped');
+
+    const lines = [header.join(',')];
+    run.trajectory.forEach(point => {
+        lines.push([point.step, point.time, ...point.rates, point.traffic, point.capacity,
+            point.distance, point.fairness, point.utilization, point.queue, point.delay, point.dropped].join(','));
+    });
+
+    lines.push('', 'metric,value');
+    for (const [name, value] of Object.entries(run.metrics || {})) {
+        lines.push(`${name},${value ?? ''}`);
+    }
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,164 @@
+/**
+ * Feedback Model
+ * What each sender learns about the bottleneck link: the traffic it measures
+ * and whether it sees a loss, possibly delayed, noisy or random
+ *
+ * Config: {
+ *   seed: integer, or null for a new seed every run
+ *   randomLoss: probability of a loss at any load (0 - 1)
+ *   redRange: excess load over the capacity at which loss becomes certain;
+ *             0 = drop-tail, a loss whenever the link drops traffic.
+ *             With a bottleneck buffer, any range above 0 turns on early loss
+ *             with a probability equal to the buffer occupancy instead
+ *   noise: standard deviation of the measured traffic, relative to the true traffic
+ *   delays: extra feedback delay of each sender on top of its RTT, in time units
+ * }
+ * The default config is ideal feedback: loss exactly when the link drops traffic
+ * (without a buffer: when traffic exceeds the capacity).
+ */
+
+/**
+ * Seedable pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer
+ * @returns {Function} - () => number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller) from a uniform generator
+ */
+export function gaussian(random) {
+    const u = 1 - random(); // (0, 1], keeps the log finite
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+export class FeedbackModel {
+    /**
+     * @param {Object} config - See above; missing fields take the ideal defaults
+     */
+    constructor(config = {}) {
+        Object.assign(this, FeedbackModel.normalize(config));
+        this.reset();
+    }
+
+    /**
+     * Validate a config and fill in the defaults
+     */
+    static normalize(config = {}) {
+        const number = (value, name, max = Infinity) => {
+            const n = Number(value ?? 0);
+            if (!(n >= 0 && n <= max)) {
+                throw new Error(`Feedback ${name} must be between 0 and ${max}`);
+            }
+            return n;
+        };
+
+        let seed = config.seed ?? null;
+        if (seed === '') seed = null;
+        if (seed !== null) {
+            seed = Number(seed);
+            if (!Number.isInteger(seed)) {
+                throw new Error('The random seed must be an integer');
+            }
+        }
+
+        return {
+            seed,
+            randomLoss: number(config.randomLoss, 'loss probability', 1),
+            redRange: number(config.redRange, 'RED range'),
+            noise: number(config.noise, 'noise'),
+            delays: (config.delays || []).map(d => number(d, 'delay'))
+        };
+    }
+
+    /**
+     * True if senders see the link exactly as it is
+     */
+    isIdeal() {
+        return this.randomLoss === 0 && this.redRange === 0 && this.noise === 0 &&
+            this.delays.every(d => d === 0);
+    }
+
+    delayOf(senderIndex) {
+        return this.delays[senderIndex] ?? 0;
+    }
+
+    setDelay(senderIndex, time) {
+        while (this.delays.length < senderIndex) this.delays.push(0);
+        this.delays[senderIndex] = Math.max(0, parseFloat(time) || 0);
+    }
+
+    /**
+     * Start a run: re-seed the generator. Without a fixed seed a new one
+     * is drawn; runSeed is the seed in use.
+     */
+    reset() {
+        this.runSeed = this.seed ?? Math.floor(Math.random() * 4294967296);
+        this.random = createRandom(this.runSeed);
+    }
+
+    /**
+     * Loss probability for a link state
+     */
+    lossProbability({ traffic, capacity, dropped = 0, fill = null }) {
+        let overload = dropped > 0 ? 1 : 0;
+        if (this.redRange > 0) {
+            if (fill === null) {
+                // No buffer: loss grows with the excess load
+                const excess = traffic / capacity - 1;
+                overload = excess > 0 ? Math.min(1, excess / this.redRange) : 0;
+            } else {
+                overload = Math.max(overload, fill);
+            }
+        }
+        return 1 - (1 - this.randomLoss) * (1 - overload);
+    }
+
+    /**
+     * The signal a sender receives about a link state
+     * @param {Object} state - { traffic, capacity, queue, delay, dropped, fill } (see BottleneckQueue.state)
+     * @returns {Object} - { traffic, loss, queue, delay, dropped } with loss 0 or 1
+     */
+    observe(state) {
+        const { traffic, queue = 0, delay = 0, dropped = 0 } = state;
+
+        // Certain outcomes draw no random numbers, so ideal feedback
+        // leaves the sequence of the scripts' random() untouched
+        const p = this.lossProbability(state);
+        const loss = p >= 1 || (p > 0 && this.random() < p) ? 1 : 0;
+
+        const measured = this.noise > 0
+            ? Math.max(0, traffic * (1 + this.noise * gaussian(this.random)))
+            : traffic;
+
+        return { traffic: measured, loss, queue, delay, dropped };
+    }
+
+    clone() {
+        return new FeedbackModel(this.toJSON());
+    }
+
+    toJSON() {
+        const { seed, randomLoss, redRange, noise, delays } = this;
+        return { seed, randomLoss, redRange, noise, delays: [...delays] };
+    }
+
+    toString() {
+        if (this.isIdeal()) return 'ideal';
+        const parts = [];
+        if (this.randomLoss > 0) parts.push(`random loss ${this.randomLoss}`);
+        if (this.redRange > 0) parts.push(`RED over ${this.redRange}`);
+        if (this.noise > 0) parts.push(`noise ${this.noise}`);
+        if (this.delays.some(d => d > 0)) parts.push(`delays ${this.delays.join('/')}`);
+        return parts.join(', ');
+    }
+}
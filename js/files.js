@@ -0,0 +1,40 @@
+/**
+ * File helpers
+ * Browser downloads and file reading shared by import/export features
+ */
+
+/**
+ * Offer a Blob to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+export function downloadBlob(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Offer text as a file download
+ */
+export function downloadText(filename, text, type = 'text/plain') {
+    downloadBlob(filename, new Blob([text], { type: `${type};charset=utf-8` }));
+}
+
+/**
+ * Read a File (from a picker or a drop) as text
+ * @returns {Promise<string>}
+ */
+export function readFileText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+        reader.readAsText(file);
+    });
+}
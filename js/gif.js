@@ -0,0 +1,209 @@
+/**
+ * GIF Encoder
+ * Animated GIF89a from RGBA frames, without dependencies. Every frame gets
+ * its own 256-color table built from its most frequent colors, which suits
+ * the flat colors of the diagrams.
+ */
+
+const MAX_CODE = 4096; // LZW codes are at most 12 bits
+
+export class GifEncoder {
+    /**
+     * @param {number} width - Frame size in pixels
+     * @param {number} height
+     * @param {Object} options - { loop: repeat forever (default) or play once }
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.bytes = []; // Header and frame headers not yet in parts
+        this.parts = []; // Finished pieces of the file
+
+        this.writeString('GIF89a');
+        this.writeShort(width);
+        this.writeShort(height);
+        this.bytes.push(0x00, 0, 0); // No global color table, background 0, square pixels
+
+        if (options.loop ?? true) {
+            this.bytes.push(0x21, 0xFF, 0x0B);
+            this.writeString('NETSCAPE2.0');
+            this.bytes.push(0x03, 0x01, 0x00, 0x00, 0x00); // Loop forever
+        }
+    }
+
+    /**
+     * Append a frame
+     * @param {Uint8ClampedArray} rgba - Pixels, e.g. ImageData.data
+     * @param {number} delay - Time the frame is shown, in milliseconds
+     */
+    addFrame(rgba, delay) {
+        const { palette, indices } = quantize(rgba, this.width * this.height);
+
+        // Graphic control extension: delay in 1/100 s, frames stay in place
+        this.bytes.push(0x21, 0xF9, 0x04, 0x04);
+        this.writeShort(Math.max(2, Math.round(delay / 10)));
+        this.bytes.push(0, 0);
+
+        // Image descriptor with a local table of 256 colors
+        this.bytes.push(0x2C);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.bytes.push(0x87);
+        for (let i = 0; i < 256; i++) {
+            const color = palette[i] ?? 0;
+            this.bytes.push((color >> 16) & 0xFF, (color >> 8) & 0xFF, color & 0xFF);
+        }
+
+        this.bytes.push(8);
+        this.flush();
+
+        // Image data in sub-blocks of up to 255 bytes, then an empty block
+        const data = lzw(indices, 8);
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+        let offset = 0;
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            blocks[offset++] = block.length;
+            blocks.set(block, offset);
+            offset += block.length;
+        }
+        this.parts.push(blocks);
+    }
+
+    /**
+     * @returns {Uint8Array} - The complete GIF file
+     */
+    finish() {
+        this.bytes.push(0x3B);
+        this.flush();
+
+        const file = new Uint8Array(this.parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        this.parts.forEach(part => {
+            file.set(part, offset);
+            offset += part.length;
+        });
+        return file;
+    }
+
+    flush() {
+        this.parts.push(Uint8Array.from(this.bytes));
+        this.bytes = [];
+    }
+
+    writeShort(value) {
+        this.bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    writeString(text) {
+        for (const char of text) this.bytes.push(char.charCodeAt(0));
+    }
+}
+
+/**
+ * Reduce a frame to 256 colors: the most frequent 15-bit colors form the
+ * palette and every other color maps to the nearest entry
+ * @returns {Object} - { palette: 0xRRGGBB per entry, indices: palette index per pixel }
+ */
+function quantize(rgba, pixelCount) {
+    const key = i => ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+
+    const counts = new Uint32Array(32768);
+    for (let p = 0; p < pixelCount; p++) {
+        counts[key(p * 4)]++;
+    }
+
+    const used = [];
+    counts.forEach((count, color) => {
+        if (count > 0) used.push(color);
+    });
+    used.sort((a, b) => counts[b] - counts[a]);
+    const entries = used.slice(0, 256);
+
+    const channels = color => [(color >> 10) & 31, (color >> 5) & 31, color & 31];
+    const palette = entries.map(color => {
+        const [r, g, b] = channels(color).map(c => (c << 3) | (c >> 2));
+        return (r << 16) | (g << 8) | b;
+    });
+
+    // Palette index of every 15-bit color, found when first needed
+    const lookup = new Int16Array(32768).fill(-1);
+    entries.forEach((color, i) => { lookup[color] = i; });
+    const nearest = color => {
+        const [r, g, b] = channels(color);
+        let best = 0;
+        let bestDistance = Infinity;
+        entries.forEach((entry, i) => {
+            const [er, eg, eb] = channels(entry);
+            const distance = (r - er) ** 2 + (g - eg) ** 2 + (b - eb) ** 2;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    };
+
+    const indices = new Uint8Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        const color = key(p * 4);
+        if (lookup[color] < 0) lookup[color] = nearest(color);
+        indices[p] = lookup[color];
+    }
+    return { palette, indices };
+}
+
+/**
+ * LZW-compress palette indices as GIF image data (before splitting into blocks)
+ */
+function lzw(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            output.push(buffer & 0xFF);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const entry = (prefix << 8) | k;
+        const code = table.get(entry);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === MAX_CODE) {
+            // Table full: start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(entry, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) output.push(buffer & 0xFF);
+    return Uint8Array.from(output);
+}
@@ -0,0 +1,440 @@
+/**
+ * CAV Script Linter
+ * Static checks over the whole script, including branches a run may never
+ * take: undefined and unused names, calls with the wrong number of
+ * arguments, malformed directives and parameters, and unreachable code
+ */
+
+import { TokenType, Tokenizer } from './tokenizer.js';
+import { BOOLEAN_VALUES, ScriptParser, parseDirective } from './parser.js';
+import { BUILTIN_ARITY, CONSTANTS, CONTEXT_VARIABLES, Evaluator, isReservedName } from './evaluator.js';
+
+// A number as written in a directive
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+const DIRECTIVE_SYNTAX = {
+    param: '#define_param <name> range <min> to <max> | boolean | choice <first>, <second>, ...',
+    var: '#define_var <name> <value>',
+    name: '#name <title>',
+    description: '#description <summary>'
+};
+
+/**
+ * Lint a script
+ * @param {string} source - Script source
+ * @returns {Array} - [{ line, column, span, severity: 'error' or 'warning', message }] in source order;
+ *                    syntax errors also have the code of their ScriptError
+ */
+export function lintScript(source) {
+    return new ScriptLinter(source).run();
+}
+
+/**
+ * A diagnostic from a parser or runtime ScriptError
+ */
+export function diagnosticFromError(error, severity = 'error') {
+    const { code, message, span } = error;
+    return { line: span?.line ?? null, column: span?.column ?? null, span, severity, message, code };
+}
+
+/**
+ * One diagnostic as text, e.g. "Line 3, column 7: Undefined variable 'x'"
+ */
+export function formatDiagnostic({ line, column, message }) {
+    if (line === null) return message;
+    return column === null ? `Line ${line}: ${message}` : `Line ${line}, column ${column}: ${message}`;
+}
+
+/**
+ * Every statement in a block and its nested blocks, including for-loop headers
+ */
+function* allStatements(statements) {
+    for (const node of statements) {
+        yield node;
+        if (node.type === 'If') {
+            yield* allStatements(node.consequent);
+            if (node.alternate) yield* allStatements(node.alternate);
+        } else if (node.type === 'While') {
+            yield* allStatements(node.body);
+        } else if (node.type === 'For') {
+            yield node.init;
+            yield node.update;
+            yield* allStatements(node.body);
+        }
+    }
+}
+
+class ScriptLinter {
+    constructor(source) {
+        this.source = source;
+        this.diagnostics = [];
+        this.program = null;
+        this.definitions = new Map(); // #define_param and #define_var names -> { kind, token }
+        this.title = null; // Token of the #name line
+        this.globals = new Map(); // Names assigned at the top level -> first assignment
+        this.reads = new Set(); // Global names read anywhere
+        this.calls = new Set(); // Lowercased names of user functions called from elsewhere
+    }
+
+    run() {
+        const tokens = new Tokenizer(this.source).tokenize();
+        tokens.filter(token => token.type === TokenType.PREPROCESSOR).forEach(token => this.checkDirective(token));
+
+        const parser = new ScriptParser(this.source);
+        this.program = parser.compile();
+        if (!this.program) {
+            parser.compileErrors.forEach(error => this.diagnostics.push(diagnosticFromError(error)));
+            return this.sorted();
+        }
+
+        for (const node of allStatements(this.program.body)) {
+            if (node.type === 'Assign' && !this.globals.has(node.name)) this.globals.set(node.name, node);
+        }
+        this.predefined = new Set([...Object.keys(CONTEXT_VARIABLES), ...this.definitions.keys()]);
+
+        for (const [key, fn] of Object.entries(this.program.functions)) {
+            this.checkFunction(key, fn);
+        }
+        this.checkBlock(this.program.body, new Set(this.predefined), null);
+        this.checkUnused();
+
+        if (!this.globals.has('rate')) {
+            const start = { start: 0, end: 0, line: 1, column: 1, endLine: 1, endColumn: 1 };
+            this.warn({ span: start }, "The script never assigns 'rate', so the sender keeps its rate");
+        }
+        return this.sorted();
+    }
+
+    sorted() {
+        return this.diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+    }
+
+    /**
+     * @param {Object} node - AST node, function or token the finding is about
+     */
+    report(node, severity, message) {
+        const { span } = node;
+        this.diagnostics.push({ line: span.line, column: span.column, span, severity, message });
+    }
+
+    error(node, message) {
+        this.report(node, 'error', message);
+    }
+
+    warn(node, message) {
+        this.report(node, 'warning', message);
+    }
+
+    // ========== Directives ==========
+
+    checkDirective(token) {
+        const directive = parseDirective(token.value);
+        if (directive.kind === 'comment') return;
+
+        if (directive.kind === 'unknown') {
+            this.warn(token, `Unknown directive '#${directive.name}' (a comment needs a space after '#')`);
+            return;
+        }
+        if (directive.kind === 'name' || directive.kind === 'description') {
+            this.checkMetadata(token, directive);
+            return;
+        }
+        if (!directive.param) {
+            this.error(token, `Malformed directive, expected '${DIRECTIVE_SYNTAX[directive.kind]}'`);
+            return;
+        }
+
+        const { name, param, rest, numbers } = directive;
+        const invalid = numbers.filter(text => !NUMBER_PATTERN.test(text));
+        invalid.forEach(text => this.error(token, `'${text}' is not a number`));
+        if (rest && !rest.startsWith('#')) {
+            this.warn(token, `Unexpected text '${rest}' after the directive`);
+        }
+
+        if (isReservedName(name)) {
+            return; // A compile error, reported with the parser's errors
+        }
+        if (this.definitions.has(name)) {
+            this.warn(token, `'${name}' is already defined at line ${this.definitions.get(name).token.line}`);
+        } else {
+            this.definitions.set(name, { kind: directive.kind, token });
+        }
+
+        if (directive.kind === 'param' && invalid.length === 0) {
+            this.checkParam(token, directive);
+        }
+    }
+
+    /**
+     * Range, default and step of a #define_param, as its type requires
+     */
+    checkParam(token, { name, param, clauses }) {
+        if (param.type === 'boolean') {
+            if (clauses.default !== undefined && !(clauses.default.toLowerCase() in BOOLEAN_VALUES)) {
+                this.error(token, `Default '${clauses.default}' of '${name}' is not on or off`);
+            }
+            return;
+        }
+        if (param.type === 'choice') {
+            if (clauses.default !== undefined && !param.choices.includes(clauses.default)) {
+                this.error(token, `Default '${clauses.default}' of '${name}' is not one of its choices`);
+            }
+            param.choices.filter((choice, i) => param.choices.indexOf(choice) !== i).forEach(choice => {
+                this.warn(token, `Choice '${choice}' of '${name}' is listed twice`);
+            });
+            return;
+        }
+
+        if (param.min > param.max) {
+            this.error(token, `Parameter '${name}' has min ${param.min} above max ${param.max}`);
+        } else if (param.default < param.min || param.default > param.max) {
+            this.error(token, `Default ${param.default} of '${name}' is outside the range ${param.min} to ${param.max}`);
+        }
+        if (!(param.step > 0)) {
+            this.error(token, `Step ${param.step} of '${name}' must be above 0`);
+        }
+        if (param.type === 'integer' && [param.min, param.max, param.default, param.step].some(v => !Number.isInteger(v))) {
+            this.error(token, `Integer parameter '${name}' needs a whole-number range, default and step`);
+        }
+        if (param.log) {
+            if (param.min <= 0) {
+                this.error(token, `Log range of '${name}' must start above 0`);
+            }
+            if (clauses.step !== undefined) {
+                this.warn(token, `A log range has no step; the step of '${name}' is ignored`);
+            }
+        }
+    }
+
+    /**
+     * #name and #description lines: each needs text, and a script has one title
+     */
+    checkMetadata(token, { kind, text }) {
+        if (!text) {
+            this.error(token, `Malformed directive, expected '${DIRECTIVE_SYNTAX[kind]}'`);
+        } else if (kind === 'name') {
+            if (this.title) {
+                this.warn(token, `The script already has a #name at line ${this.title.line}`);
+            } else {
+                this.title = token;
+            }
+        }
+    }
+
+    // ========== Statements ==========
+
+    /**
+     * Check user function bodies: their parameters and assigned names are locals
+     */
+    checkFunction(key, fn) {
+        const scope = { key, reads: new Set() };
+        this.checkBlock(fn.body, new Set(fn.params), scope);
+
+        fn.params.filter(param => !scope.reads.has(param)).forEach(param => {
+            this.warn(fn, `Parameter '${param}' of function '${fn.name}' is never used`);
+        });
+
+        const locals = new Map();
+        for (const node of allStatements(fn.body)) {
+            if (node.type === 'Assign' && !fn.params.includes(node.name) && !locals.has(node.name)) {
+                locals.set(node.name, node);
+            }
+        }
+        locals.forEach((node, name) => {
+            if (!scope.reads.has(name)) this.warn(node, `'${name}' is assigned but never used`);
+        });
+    }
+
+    /**
+     * Check statements in order
+     * @param {Set} assigned - Names certainly assigned before the block; updated in place
+     * @param {Object|null} scope - Function being checked, or null at the top level
+     * @returns {boolean} - True if every path through the block returns
+     */
+    checkBlock(statements, assigned, scope) {
+        for (let i = 0; i < statements.length; i++) {
+            if (this.checkStatement(statements[i], assigned, scope)) {
+                if (i + 1 < statements.length) this.warn(statements[i + 1], "Unreachable code after 'return'");
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @returns {boolean} - True if the statement always returns
+     */
+    checkStatement(node, assigned, scope) {
+        switch (node.type) {
+            case 'Assign':
+                this.checkExpression(node.value, assigned, scope);
+                assigned.add(node.name);
+                return false;
+
+            case 'Return':
+                this.checkExpression(node.value, assigned, scope);
+                return true;
+
+            case 'If': {
+                this.checkExpression(node.test, assigned, scope);
+                const test = this.constantValue(node.test);
+                if (test !== null && test <= 0) {
+                    this.warn(node.consequent[0] || node, 'The condition is always false, so this branch never runs');
+                } else if (test !== null && node.alternate) {
+                    this.warn(node.alternate[0] || node, "The condition is always true, so the 'else' branch never runs");
+                }
+
+                const thenAssigned = new Set(assigned);
+                const elseAssigned = new Set(assigned);
+                const thenReturns = this.checkBlock(node.consequent, thenAssigned, scope);
+                const elseReturns = node.alternate ? this.checkBlock(node.alternate, elseAssigned, scope) : false;
+
+                if (test === null) {
+                    thenAssigned.forEach(name => { if (elseAssigned.has(name)) assigned.add(name); });
+                    return thenReturns && elseReturns;
+                }
+                (test > 0 ? thenAssigned : elseAssigned).forEach(name => assigned.add(name));
+                return test > 0 ? thenReturns : elseReturns;
+            }
+
+            case 'While':
+                this.checkExpression(node.test, assigned, scope);
+                this.checkLoop(node);
+                this.checkBlock(node.body, new Set(assigned), scope);
+                return false;
+
+            case 'For': {
+                this.checkStatement(node.init, assigned, scope);
+                this.checkExpression(node.test, assigned, scope);
+                this.checkLoop(node);
+                const bodyAssigned = new Set(assigned);
+                this.checkBlock(node.body, bodyAssigned, scope);
+                this.checkStatement(node.update, bodyAssigned, scope);
+                return false;
+            }
+        }
+        return false;
+    }
+
+    checkLoop(node) {
+        const test = this.constantValue(node.test);
+        if (test === null) return;
+        if (test <= 0) {
+            this.warn(node, 'The loop condition is always false, so the body never runs');
+        } else if (![...allStatements(node.body)].some(statement => statement.type === 'Return')) {
+            this.warn(node, 'The loop condition is always true, so the loop only ends at the iteration limit');
+        }
+    }
+
+    // ========== Expressions ==========
+
+    checkExpression(node, assigned, scope) {
+        switch (node.type) {
+            case 'Variable':
+                this.checkVariable(node, assigned, scope);
+                break;
+            case 'Unary':
+                this.checkExpression(node.argument, assigned, scope);
+                break;
+            case 'Binary':
+                this.checkExpression(node.left, assigned, scope);
+                this.checkExpression(node.right, assigned, scope);
+                if (node.op === '/' && this.constantValue(node.right) === 0) {
+                    this.error(node, 'Division by zero');
+                }
+                break;
+            case 'Call':
+                node.args.forEach(arg => this.checkExpression(arg, assigned, scope));
+                this.checkCall(node, scope);
+                break;
+        }
+    }
+
+    checkVariable(node, assigned, scope) {
+        const { name } = node;
+        if (node.local) {
+            scope.reads.add(name);
+            if (!assigned.has(name)) this.warn(node, `'${name}' may be used before it is assigned`);
+            return;
+        }
+
+        this.reads.add(name);
+        if (name.toLowerCase() in CONSTANTS || this.predefined.has(name)) return;
+        if (!this.globals.has(name)) {
+            this.error(node, `Undefined variable '${name}'`);
+        } else if (!scope && !assigned.has(name)) {
+            this.warn(node, `'${name}' may be used before it is assigned`);
+        }
+    }
+
+    checkCall(node, scope) {
+        const key = node.name.toLowerCase();
+        const fn = this.program.functions[key];
+        let expected;
+        if (fn) {
+            if (key !== scope?.key) this.calls.add(key);
+            expected = fn.params.length;
+        } else if (key in BUILTIN_ARITY) {
+            expected = BUILTIN_ARITY[key];
+        } else {
+            this.error(node, `Unknown function '${node.name}'`);
+            return;
+        }
+
+        if (node.args.length !== expected) {
+            this.error(node, `Function '${node.name}' expects ${expected} argument(s), got ${node.args.length}`);
+        }
+    }
+
+    /**
+     * Value of an expression made only of numbers, constants and
+     * deterministic built-ins, or null if it depends on the run
+     */
+    constantValue(node) {
+        if (!this.isConstant(node)) return null;
+        try {
+            return new Evaluator().expression(node);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    isConstant(node) {
+        switch (node.type) {
+            case 'Number':
+                return true;
+            case 'Variable':
+                return !node.local && node.name.toLowerCase() in CONSTANTS;
+            case 'Unary':
+                return this.isConstant(node.argument);
+            case 'Binary':
+                return this.isConstant(node.left) && this.isConstant(node.right);
+            case 'Call': {
+                const key = node.name.toLowerCase();
+                return key in BUILTIN_ARITY && key !== 'random' && !(key in this.program.functions) &&
+                    node.args.every(arg => this.isConstant(arg));
+            }
+        }
+        return false;
+    }
+
+    // ========== Unused Names ==========
+
+    checkUnused() {
+        this.definitions.forEach(({ kind, token }, name) => {
+            if (!this.reads.has(name)) {
+                this.warn(token, `${kind === 'param' ? 'Parameter' : 'Variable'} '${name}' is never used`);
+            }
+        });
+
+        this.globals.forEach((node, name) => {
+            if (!this.predefined.has(name) && !this.reads.has(name)) {
+                this.warn(node, `'${name}' is assigned but never used`);
+            }
+        });
+
+        for (const [key, fn] of Object.entries(this.program.functions)) {
+            if (!this.calls.has(key)) this.warn(fn, `Function '${fn.name}' is never called`);
+        }
+    }
+}
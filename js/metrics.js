@@ -0,0 +1,89 @@
+/**
+ * Convergence Metrics
+ * Fairness, efficiency and convergence measures from Chiu & Jain,
+ * computed per step and summarized over a simulation trajectory
+ */
+
+// Band around the optimum, relative to the capacity, that counts as converged
+export const DEFAULT_TOLERANCE = 0.05;
+
+/**
+ * Jain's fairness index: 1 when every sender gets its share, 1/n when one
+ * sender gets everything. With weights the rates are divided by them first,
+ * so the weighted-fair allocation scores 1.
+ * @param {number[]} rates - One rate per sender
+ * @param {number[]} weights - Optional fair-share weight per sender
+ */
+export function jainIndex(rates, weights = null) {
+    const shares = weights ? rates.map((r, i) => r / (weights[i] || 1)) : rates;
+    const sum = shares.reduce((total, x) => total + x, 0);
+    const sumOfSquares = shares.reduce((total, x) => total + x * x, 0);
+    if (sumOfSquares === 0) return 1;
+    return (sum * sum) / (shares.length * sumOfSquares);
+}
+
+/**
+ * Fraction of the link capacity in use (above 1 means overload)
+ */
+export function utilization(traffic, capacity) {
+    return capacity > 0 ? traffic / capacity : 0;
+}
+
+/**
+ * Summarize a trajectory recorded by SimulationEngine.run()
+ * @param {Array} trajectory - Recorded points; each has time, traffic, capacity, distance, fairness, utilization
+ * @param {Object} options - { tolerance } converged band, relative to the capacity
+ * @returns {Object|null} - {
+ *     steps: number of update events, fairness, utilization: values at the last one,
+ *     overshoots: times the load rose above the capacity,
+ *     convergedAt: time from which the distance from the optimum stays
+ *                  within the band (null if it never settles),
+ *     meanUtilization, oscillation: mean load and half its peak-to-peak swing
+ *                  in steady state (after convergence, else the second half of the run)
+ * }
+ */
+export function summarizeMetrics(trajectory, options = {}) {
+    if (trajectory.length === 0) return null;
+    const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+    const last = trajectory[trajectory.length - 1];
+
+    let overshoots = 0;
+    let overloaded = trajectory[0].traffic > trajectory[0].capacity;
+    for (let i = 1; i < trajectory.length; i++) {
+        const now = trajectory[i].traffic > trajectory[i].capacity;
+        if (now && !overloaded) overshoots++;
+        overloaded = now;
+    }
+
+    // Walk back from the end while the points stay inside the band
+    let settled = trajectory.length;
+    while (settled > 0) {
+        const point = trajectory[settled - 1];
+        if (!(point.distance / point.capacity <= tolerance)) break;
+        settled--;
+    }
+    const convergedAt = settled < trajectory.length ? trajectory[settled].time : null;
+
+    const steady = trajectory.slice(convergedAt !== null ? settled : Math.floor(trajectory.length / 2));
+    // A plain loop: spreading a long run into Math.min/max overflows the stack
+    let sum = 0;
+    let low = Infinity;
+    let high = -Infinity;
+    for (const { utilization } of steady) {
+        sum += utilization;
+        low = Math.min(low, utilization);
+        high = Math.max(high, utilization);
+    }
+    const meanUtilization = sum / steady.length;
+    const oscillation = (high - low) / 2;
+
+    return {
+        steps: last.step,
+        fairness: last.fairness,
+        utilization: last.utilization,
+        overshoots,
+        convergedAt,
+        meanUtilization,
+        oscillation
+    };
+}
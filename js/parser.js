@@ -5,106 +5,379 @@
  */
 
 import { TokenType, Tokenizer } from './tokenizer.js';
+import { ErrorCode, ScriptError, spanBetween, toScriptError } from './errors.js';
+import { BUILTIN_FUNCTIONS, CONSTANTS, CONTEXT_VARIABLES, DEFAULT_MAX_ITERATIONS, Evaluator, isReservedName } from './evaluator.js';
 
-// Built-in functions
-const BUILTIN_FUNCTIONS = {
-    'abs': (args) => Math.abs(args[0]),
-    'cos': (args) => Math.cos(args[0]),
-    'sin': (args) => Math.sin(args[0]),
-    'tan': (args) => Math.tan(args[0]),
-    'exp': (args) => Math.exp(args[0]),
-    'sqrt': (args) => Math.sqrt(args[0]),
-    'int': (args) => Math.round(args[0]),
-    'pow': (args) => Math.pow(args[0], args[1]),
-    'min': (args) => Math.min(args[0], args[1]),
-    'max': (args) => Math.max(args[0], args[1]),
-    'random': () => Math.random()
-};
-
-// Built-in constants
-const CONSTANTS = {
-    'pi': Math.PI,
-    'e': Math.E
-};
+/**
+ * Variables that have a value, by name
+ */
+function namedValues(names, values) {
+    const variables = {};
+    names.forEach((name, i) => {
+        if (values[i] !== undefined) variables[name] = values[i];
+    });
+    return variables;
+}
+
+/**
+ * Slider step for a parameter without a step clause: a round number
+ * (1, 2 or 5 times a power of ten) close to a hundredth of the range
+ */
+export function rangeStep(min, max) {
+    const span = Math.abs(max - min);
+    if (!Number.isFinite(span) || span === 0) return 1;
+    const raw = span / 100;
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    const fraction = raw / power;
+    const nice = fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10;
+    return Number((nice * power).toPrecision(12));
+}
 
+// Words a boolean parameter or #define_var accepts, and their values
+export const BOOLEAN_VALUES = { on: 1, true: 1, 1: 1, off: 0, false: 0, 0: 0 };
+
+/**
+ * Optional clauses after the fixed part of a directive, in any order:
+ * '<keyword> <value>', a bare flag or a "quoted description"
+ * @returns {Object} - { clauses: { keyword: value text or true, description }, rest }
+ */
+function readClauses(text, valued, flags = []) {
+    const clauses = {};
+    let rest = text;
+    for (;;) {
+        let match = rest.match(/^\s+"([^"]*)"/);
+        if (match) {
+            clauses.description = match[1];
+        } else if ((match = rest.match(/^\s+(\w+)\s+([^\s"]+)/)) && valued.includes(match[1].toLowerCase())) {
+            clauses[match[1].toLowerCase()] = match[2];
+        } else if ((match = rest.match(/^\s+(\w+)\b/)) && flags.includes(match[1].toLowerCase())) {
+            clauses[match[1].toLowerCase()] = true;
+        } else {
+            break;
+        }
+        rest = rest.slice(match[0].length);
+    }
+    return { clauses, rest: rest.trim() };
+}
+
+/**
+ * Read one '#' line. Comments (no name right after the '#') and unknown
+ * directives define nothing.
+ * @param {string} directive - The line, starting at '#'
+ * @returns {Object} - { kind: 'param', 'var', 'name', 'description', 'unknown' or 'comment', name, param,
+ *   clauses, rest, numbers, text }: param is the definition (missing if the directive is malformed),
+ *   clauses the optional clauses as written, rest any text after them, numbers the raw number strings
+ *   as written, text the text of a #name or #description line
+ */
+export function parseDirective(directive) {
+    const word = directive.match(/^#([A-Za-z_]\w*)/);
+    if (!word) {
+        return { kind: 'comment' };
+    }
+
+    // #define_param <name> range <min> to <max> [default <val>] [step <size>] [integer] [log] ["description"]
+    // #define_param <name> boolean [default on|off] ["description"]
+    // #define_param <name> choice <first>, <second>, ... [default <choice>] ["description"]
+    if (/^#define_param\b/i.test(directive)) {
+        const match = directive.match(
+            /#define_param\s+(\w+)\s+(?:range\s+(?:from\s+)?(\S+)\s+to\s+(\S+)|(boolean)\b|choice\s+(\w+(?:\s*,\s*\w+)*))(.*)$/i);
+        if (!match) {
+            return { kind: 'param' };
+        }
+        const [, name, minStr, maxStr, boolean, choiceList, tail] = match;
+        const definition = (clauses, fields) => ({ name, ...fields, description: clauses.description ?? '', isStatic: false });
+
+        if (boolean) {
+            const { clauses, rest } = readClauses(tail, ['default']);
+            const value = BOOLEAN_VALUES[clauses.default?.toLowerCase()] ?? 0;
+            return {
+                kind: 'param',
+                name,
+                param: definition(clauses, { type: 'boolean', min: 0, max: 1, default: value, step: 1, log: false }),
+                clauses,
+                rest,
+                numbers: []
+            };
+        }
+
+        if (choiceList) {
+            // The value of a choice is its position, 0 for the first
+            const choices = choiceList.split(/\s*,\s*/);
+            const { clauses, rest } = readClauses(tail, ['default']);
+            const index = clauses.default === undefined ? 0 : Math.max(0, choices.indexOf(clauses.default));
+            return {
+                kind: 'param',
+                name,
+                param: definition(clauses, { type: 'choice', min: 0, max: choices.length - 1, default: index, step: 1, log: false, choices }),
+                clauses,
+                rest,
+                numbers: []
+            };
+        }
+
+        const { clauses, rest } = readClauses(tail, ['default', 'step'], ['integer', 'log']);
+        const min = parseFloat(minStr);
+        const max = parseFloat(maxStr);
+        const type = clauses.integer ? 'integer' : 'number';
+        let step = clauses.step ? parseFloat(clauses.step) : rangeStep(min, max);
+        if (type === 'integer' && !clauses.step) step = Math.max(1, Math.round(step));
+        return {
+            kind: 'param',
+            name,
+            param: definition(clauses, {
+                type,
+                min,
+                max,
+                default: clauses.default ? parseFloat(clauses.default) : min,
+                step,
+                log: Boolean(clauses.log)
+            }),
+            clauses,
+            rest,
+            numbers: [minStr, maxStr, clauses.default, clauses.step].filter(Boolean)
+        };
+    }
+
+    // #define_var <name> <initial-value>, a number or on/off
+    if (/^#define_var\b/i.test(directive)) {
+        const match = directive.match(/#define_var\s+(\w+)\s+(\S+)(.*)$/i);
+        if (!match) {
+            return { kind: 'var' };
+        }
+        const [, name, valueStr, rest] = match;
+        const flag = BOOLEAN_VALUES[valueStr.toLowerCase()];
+        return {
+            kind: 'var',
+            name,
+            param: { name, default: flag ?? parseFloat(valueStr), isStatic: true },
+            rest: rest.trim(),
+            numbers: flag === undefined ? [valueStr] : []
+        };
+    }
+
+    // #name <title>, #description <summary>
+    const metadata = directive.match(/^#(name|description)\b(.*)$/i);
+    if (metadata) {
+        return { kind: metadata[1].toLowerCase(), text: metadata[2].trim() };
+    }
+
+    return { kind: 'unknown', name: word[1] };
+}
+
+/**
+ * Title and summary of a script from its #name and #description lines;
+ * several #description lines join into one summary
+ * @returns {Object} - { name, description }, '' where the script has none
+ */
+export function scriptMetadata(source) {
+    const metadata = { name: '', description: '' };
+    new Tokenizer(source).tokenize()
+        .filter(token => token.type === TokenType.PREPROCESSOR)
+        .forEach(token => {
+            const { kind, text } = parseDirective(token.value);
+            if (kind === 'name' && !metadata.name) {
+                metadata.name = text;
+            } else if (kind === 'description' && text) {
+                metadata.description = metadata.description ? `${metadata.description} ${text}` : text;
+            }
+        });
+    return metadata;
+}
+
+/**
+ * A value passed in for a parameter, as its type allows: 0 or 1 for a
+ * boolean, a whole number for an integer and a position for a choice
+ */
+export function paramValue(param, value) {
+    switch (param.type) {
+        case 'boolean':
+            return value > 0 ? 1 : 0;
+        case 'integer':
+            return Math.round(value);
+        case 'choice':
+            return Math.min(param.max, Math.max(0, Math.round(value)));
+        default:
+            return value;
+    }
+}
+
+/**
+ * Compiles a CAV script once into an AST and evaluates it on every step.
+ *
+ * Program shape returned by compile():
+ *   { type: 'Program', body: [statement], params: [param], statics: [param], names: [string],
+ *     functions: { lowercased name: { name, params, body, localCount } },
+ *     paramSlots, staticSlots, rateSlot }
+ * Statements: If { test, consequent, alternate }, While { test, body },
+ *             For { init, test, update, body }, Return { value }, Assign { name, slot, local, value }
+ * Expressions: Number { value }, Variable { name, slot, local }, Unary { op, argument },
+ *              Binary { op, left, right }, Call { name, args }
+ * Every node carries its first source line and its span (see spanBetween). Variables are resolved to
+ * a slot in `names` at compile time, so evaluation works on a flat array.
+ * Inside a function, parameters and assigned names are locals (slots in the
+ * call frame); other names read the globals.
+ */
 export class ScriptParser {
     constructor(source) {
         this.source = source;
         this.tokens = [];
         this.pos = 0;
-        this.variables = {};
+        this.slots = new Map(); // Variable name -> slot index
+        this.functions = {}; // User-defined functions by lowercased name
+        this.scope = null; // Local scope while parsing a function body
+        this.maxIterations = DEFAULT_MAX_ITERATIONS; // Loop iterations and function calls allowed per evaluation
+        this.program = null; // Compiled AST, built on first use
+        this.compileErrors = []; // ScriptErrors; compiling goes on after each to find the others
+        this.values = []; // Variable values of the last evaluation, by slot
         this.staticVariables = {};
         this.params = []; // Parameters defined by #define_param
         this.errors = [];
     }
 
     /**
-     * Parse and execute the script
+     * Tokenize and parse the script into an AST. The result is cached, so
+     * repeated calls are free.
+     * @returns {Object|null} - The program, or null if the script has syntax errors (see compileErrors)
+     */
+    compile() {
+        if (this.program || this.compileErrors.length > 0) {
+            return this.program;
+        }
+
+        try {
+            const tokenizer = new Tokenizer(this.source);
+            this.tokens = tokenizer.tokenize();
+            this.compileErrors.push(...tokenizer.errors);
+            this.processPreprocessor();
+
+            this.pos = 0;
+            const body = [];
+            while (!this.isAtEnd()) {
+                this.recover(() => {
+                    if (this.checkKeyword('function')) {
+                        this.functionDefinition();
+                    } else {
+                        body.push(this.statement());
+                    }
+                });
+            }
+
+            if (this.compileErrors.length === 0) {
+                const params = this.params.filter(p => !p.isStatic);
+                const statics = this.params.filter(p => p.isStatic);
+
+                this.program = {
+                    type: 'Program',
+                    body,
+                    functions: this.functions,
+                    params,
+                    statics,
+                    paramSlots: params.map(p => this.slotOf(p.name)),
+                    staticSlots: statics.map(p => this.slotOf(p.name)),
+                    rateSlot: this.slots.has('rate') ? this.slots.get('rate') : -1,
+                    names: [...this.slots.keys()]
+                };
+            }
+        } catch (e) {
+            this.compileErrors.push(toScriptError(e));
+        }
+
+        // Tokens are no longer needed once the AST exists
+        this.tokens = [];
+        return this.program;
+    }
+
+    /**
+     * Execute the compiled script
      * @param {Object} context - Contains 'rate' and 'traffic' values
-     * @returns {Object} - Updated context with new rate value
+     * @param {Object} options - { params } values of #define_param parameters by name, in place of their defaults;
+     *                           { trace } to also report variables before/after, branches and the rate line;
+     *                           { random } generator for the random() built-in (default Math.random)
+     * @returns {Object} - { rate, errors } with errors as ScriptErrors, plus { trace: { before, after, branches, truncated, rateLine } } when tracing
      */
-    parse(context = {}) {
+    parse(context = {}, options = {}) {
         // Reset state
-        this.pos = 0;
         this.errors = [];
 
-        // Initialize predefined variables
-        this.variables = { ...context };
-
-        // Add constants
-        for (const [name, value] of Object.entries(CONSTANTS)) {
-            this.variables[name] = value;
+        const program = this.compile();
+        if (!program) {
+            this.errors.push(...this.compileErrors);
+            return { rate: context.rate || 0, errors: this.errors };
         }
 
-        // Merge static variables
-        for (const [name, value] of Object.entries(this.staticVariables)) {
-            this.variables[name] = value;
+        // Initialize predefined variables and constants
+        const names = program.names;
+        const values = new Array(names.length).fill(undefined);
+        for (let i = 0; i < names.length; i++) {
+            const name = names[i];
+            if (name in CONSTANTS) {
+                values[i] = CONSTANTS[name];
+            } else if (name in context) {
+                values[i] = context[name];
+            }
         }
 
-        // Tokenize
-        const tokenizer = new Tokenizer(this.source);
-        try {
-            this.tokens = tokenizer.tokenize();
-        } catch (e) {
-            this.errors.push(e.message);
-            return context;
+        // Merge static variables, initializing them on first use
+        const { params, statics, paramSlots, staticSlots } = program;
+        for (let i = 0; i < statics.length; i++) {
+            const name = statics[i].name;
+            if (!(name in this.staticVariables)) {
+                this.staticVariables[name] = statics[i].default;
+            }
+            values[staticSlots[i]] = this.staticVariables[name];
         }
 
-        // First pass: process preprocessor directives
-        this.processPreprocessor();
+        // Parameter values passed in (e.g. from the sliders), else the defaults
+        const overrides = options.params || {};
+        for (let i = 0; i < params.length; i++) {
+            const value = overrides[params[i].name];
+            values[paramSlots[i]] = Number.isFinite(value) ? paramValue(params[i], value) : params[i].default;
+        }
 
-        // Second pass: execute statements
+        this.values = values;
+        const trace = options.trace ? { rateSlot: program.rateSlot } : null;
+        const before = trace ? namedValues(names, values) : null;
         try {
-            while (!this.isAtEnd()) {
-                this.statement();
-            }
+            new Evaluator(values, { maxIterations: this.maxIterations, trace, random: options.random }).run(program);
         } catch (e) {
-            this.errors.push(e.message);
+            this.errors.push(toScriptError(e));
         }
 
         // Save static variables back
-        for (const param of this.params.filter(p => p.isStatic)) {
-            this.staticVariables[param.name] = this.variables[param.name];
+        for (let i = 0; i < statics.length; i++) {
+            this.staticVariables[statics[i].name] = values[staticSlots[i]];
         }
 
-        return {
-            rate: this.variables.rate || 0,
+        const rate = program.rateSlot >= 0 ? values[program.rateSlot] : context.rate;
+        const result = {
+            rate: rate || 0,
             errors: this.errors
         };
+        if (trace) {
+            result.trace = {
+                before,
+                after: namedValues(names, values),
+                branches: trace.branches,
+                truncated: trace.truncated,
+                rateLine: trace.rateLine
+            };
+        }
+        return result;
     }
 
     /**
-     * Get parameters defined by #define_param
+     * Variables of the most recent evaluation, by name
      */
-    getParams() {
-        return this.params;
+    get variables() {
+        return namedValues(this.program?.names || [], this.values);
     }
 
     /**
-     * Set a variable value (used for parameter sliders)
+     * Get parameters defined by #define_param
      */
-    setVariable(name, value) {
-        this.variables[name] = value;
+    getParams() {
+        this.compile();
+        return this.params;
     }
 
     /**
@@ -114,6 +387,16 @@ export class ScriptParser {
         this.staticVariables = {};
     }
 
+    /**
+     * Slot index of a variable, allocating a new one on first use
+     */
+    slotOf(name) {
+        if (!this.slots.has(name)) {
+            this.slots.set(name, this.slots.size);
+        }
+        return this.slots.get(name);
+    }
+
     // ========== Preprocessor ==========
 
     processPreprocessor() {
@@ -123,7 +406,7 @@ export class ScriptParser {
         const newTokens = [];
         for (const token of this.tokens) {
             if (token.type === TokenType.PREPROCESSOR) {
-                this.handlePreprocessor(token.value);
+                this.handlePreprocessor(token);
             } else {
                 newTokens.push(token);
             }
@@ -131,129 +414,238 @@ export class ScriptParser {
         this.tokens = newTokens;
     }
 
-    handlePreprocessor(directive) {
-        // #define_param <name> range <min> to <max> [default <val>]
-        const paramMatch = directive.match(/#define_param\s+(\w+)\s+range\s+(?:from\s+)?(\S+)\s+to\s+(\S+)(?:\s+default\s+(\S+))?/i);
-        if (paramMatch) {
-            const [, name, minStr, maxStr, defaultStr] = paramMatch;
-            const min = parseFloat(minStr);
-            const max = parseFloat(maxStr);
-            const defaultVal = defaultStr ? parseFloat(defaultStr) : min;
-
-            this.params.push({
-                name,
-                min,
-                max,
-                default: defaultVal,
-                isStatic: false
-            });
-
-            // Initialize variable with default value if not already set
-            if (!(name in this.variables)) {
-                this.variables[name] = defaultVal;
-            }
+    /**
+     * Collect the definition of a #define_param or #define_var line; a
+     * definition of a reserved name is a compile error
+     */
+    handlePreprocessor(token) {
+        const { param } = parseDirective(token.value);
+        if (!param) return;
+        if (isReservedName(param.name)) {
+            this.compileErrors.push(new ScriptError(ErrorCode.INVALID_ASSIGNMENT,
+                `'${param.name}' is reserved and cannot be defined`, token.span));
             return;
         }
+        this.params.push(param);
+    }
 
-        // #define_var <name> <initial-value>
-        const varMatch = directive.match(/#define_var\s+(\w+)\s+(\S+)/i);
-        if (varMatch) {
-            const [, name, valueStr] = varMatch;
-            const value = parseFloat(valueStr);
+    // ========== Statement Parsing ==========
 
-            this.params.push({
-                name,
-                default: value,
-                isStatic: true
-            });
+    /**
+     * Parse with error recovery: a syntax error is recorded and the parser
+     * skips to the end of the statement, so later mistakes are found too
+     * @param {Function} parse - Parses one statement or function definition
+     */
+    recover(parse) {
+        const start = this.pos;
+        try {
+            parse();
+        } catch (e) {
+            if (!(e instanceof ScriptError)) throw e;
+            this.compileErrors.push(e);
+            this.synchronize();
+            if (this.pos === start) this.advance();
+        }
+    }
 
-            // Initialize static variable if not already set
-            if (!(name in this.staticVariables)) {
-                this.staticVariables[name] = value;
-                this.variables[name] = value;
+    /**
+     * Skip past the next ';' or the block that follows, or up to the '}'
+     * that closes the enclosing block
+     */
+    synchronize() {
+        let depth = 0;
+        while (!this.isAtEnd()) {
+            const token = this.current();
+            if (token.type === TokenType.SEMICOLON && depth === 0) {
+                this.advance();
+                return;
             }
-            return;
+            if (token.type === TokenType.RBRACE) {
+                if (depth === 0) return;
+                depth--;
+                if (depth === 0) {
+                    this.advance();
+                    return;
+                }
+            } else if (token.type === TokenType.LBRACE) {
+                depth++;
+            }
+            this.advance();
         }
     }
 
-    // ========== Statement Parsing ==========
-
     statement() {
         const token = this.current();
 
-        if (token.type === TokenType.KEYWORD && token.value === 'if') {
-            this.ifStatement();
+        if (token.type === TokenType.KEYWORD) {
+            switch (token.value) {
+                case 'if':
+                    return this.ifStatement();
+                case 'while':
+                    return this.whileStatement();
+                case 'for':
+                    return this.forStatement();
+                case 'return':
+                    return this.returnStatement();
+                case 'function':
+                    throw new ScriptError(ErrorCode.INVALID_FUNCTION,
+                        "Unexpected 'function': functions can only be defined at the top level", token.span);
+            }
         } else if (token.type === TokenType.NAME) {
-            this.assignment();
-        } else if (token.type === TokenType.RBRACE || token.type === TokenType.EOF) {
-            // Empty statement or end of block
-            return;
-        } else {
-            throw new Error(`Unexpected token '${token.value}' at line ${token.line}`);
+            return this.assignment();
         }
+        throw this.unexpected(token);
     }
 
     ifStatement() {
-        this.advance(); // consume 'if'
+        const keyword = this.advance(); // consume 'if'
         this.expect(TokenType.LPAREN, '(');
-        const condition = this.expression();
+        const test = this.expression();
         this.expect(TokenType.RPAREN, ')');
 
-        this.expect(TokenType.LBRACE, '{');
+        const consequent = this.block();
 
-        if (condition > 0) {
-            // Execute if block
-            while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
-                this.statement();
-            }
-            this.expect(TokenType.RBRACE, '}');
-
-            // Skip else block if present
-            if (this.check(TokenType.KEYWORD) && this.current().value === 'else') {
-                this.advance(); // consume 'else'
-                this.expect(TokenType.LBRACE, '{');
-                this.skipBlock();
-                this.expect(TokenType.RBRACE, '}');
-            }
-        } else {
-            // Skip if block
-            this.skipBlock();
-            this.expect(TokenType.RBRACE, '}');
-
-            // Execute else block if present
-            if (this.check(TokenType.KEYWORD) && this.current().value === 'else') {
-                this.advance(); // consume 'else'
-                this.expect(TokenType.LBRACE, '{');
-                while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
-                    this.statement();
+        let alternate = null;
+        if (this.checkKeyword('else')) {
+            this.advance(); // consume 'else'
+            alternate = this.block();
+        }
+
+        return { type: 'If', test, consequent, alternate, line: keyword.line, span: this.spanFrom(keyword) };
+    }
+
+    whileStatement() {
+        const keyword = this.advance(); // consume 'while'
+        this.expect(TokenType.LPAREN, '(');
+        const test = this.expression();
+        this.expect(TokenType.RPAREN, ')');
+        const body = this.block();
+
+        return { type: 'While', test, body, line: keyword.line, span: this.spanFrom(keyword) };
+    }
+
+    forStatement() {
+        const keyword = this.advance(); // consume 'for'
+        this.expect(TokenType.LPAREN, '(');
+        const init = this.assignmentExpression();
+        this.expect(TokenType.SEMICOLON, ';');
+        const test = this.expression();
+        this.expect(TokenType.SEMICOLON, ';');
+        const update = this.assignmentExpression();
+        this.expect(TokenType.RPAREN, ')');
+        const body = this.block();
+
+        return { type: 'For', init, test, update, body, line: keyword.line, span: this.spanFrom(keyword) };
+    }
+
+    returnStatement() {
+        const keyword = this.advance(); // consume 'return'
+        if (!this.scope) {
+            this.compileErrors.push(new ScriptError(ErrorCode.RETURN_OUTSIDE_FUNCTION, "'return' outside of a function", keyword.span));
+        }
+        const value = this.expression();
+        this.expect(TokenType.SEMICOLON, ';');
+
+        return { type: 'Return', value, line: keyword.line, span: this.spanFrom(keyword) };
+    }
+
+    /**
+     * function <name>(<param>, ...) { <statements> return <expr>; }
+     */
+    functionDefinition() {
+        const line = this.advance().line; // consume 'function'
+        const nameToken = this.expect(TokenType.NAME, 'function name');
+        const name = nameToken.value;
+        const key = name.toLowerCase();
+
+        let defined = true;
+        if (key in BUILTIN_FUNCTIONS) {
+            this.compileErrors.push(new ScriptError(ErrorCode.INVALID_FUNCTION, `Cannot redefine built-in function '${name}'`, nameToken.span));
+            defined = false;
+        } else if (key in this.functions) {
+            this.compileErrors.push(new ScriptError(ErrorCode.INVALID_FUNCTION, `Function '${name}' is already defined`, nameToken.span));
+            defined = false;
+        }
+
+        this.expect(TokenType.LPAREN, '(');
+        const params = [];
+        if (!this.check(TokenType.RPAREN)) {
+            do {
+                const paramToken = this.expect(TokenType.NAME, 'parameter name');
+                const param = paramToken.value;
+                if (param.toLowerCase() in CONTEXT_VARIABLES) {
+                    this.compileErrors.push(new ScriptError(ErrorCode.INVALID_FUNCTION, `Parameter name '${param}' is reserved`, paramToken.span));
+                } else if (params.includes(param)) {
+                    this.compileErrors.push(new ScriptError(ErrorCode.INVALID_FUNCTION,
+                        `Duplicate parameter '${param}' in function '${name}'`, paramToken.span));
+                }
+                params.push(param);
+            } while (this.check(TokenType.COMMA) && this.advance());
+        }
+        this.expect(TokenType.RPAREN, ')');
+
+        this.scope = { locals: new Map(params.map((param, i) => [param, i])), refs: [] };
+        try {
+            const body = this.block();
+
+            // Names the function never assigns are globals
+            for (const ref of this.scope.refs) {
+                if (this.scope.locals.has(ref.name)) {
+                    ref.local = true;
+                    ref.slot = this.scope.locals.get(ref.name);
+                } else {
+                    ref.slot = this.slotOf(ref.name);
                 }
-                this.expect(TokenType.RBRACE, '}');
             }
+
+            if (defined) {
+                this.functions[key] = { name, params, body, localCount: this.scope.locals.size, line, span: nameToken.span };
+            }
+        } finally {
+            this.scope = null;
+        }
+    }
+
+    block() {
+        this.expect(TokenType.LBRACE, '{');
+        const statements = [];
+        while (!this.check(TokenType.RBRACE) && !this.isAtEnd()) {
+            this.recover(() => statements.push(this.statement()));
         }
+        this.expect(TokenType.RBRACE, '}');
+        return statements;
     }
 
     assignment() {
-        const name = this.current().value;
-        this.advance(); // consume name
+        const node = this.assignmentExpression();
+        this.expect(TokenType.SEMICOLON, ';');
+        return node;
+    }
+
+    /**
+     * <name> = <expr>, without the trailing semicolon (also used in for headers)
+     */
+    assignmentExpression() {
+        const token = this.expect(TokenType.NAME, 'variable name');
+        const name = token.value;
         this.expect(TokenType.ASSIGN, '=');
         const value = this.expression();
-        this.expect(TokenType.SEMICOLON, ';');
+        const span = this.spanFrom(token);
 
-        // Check if trying to reassign a constant
+        // Check if trying to reassign a constant or a read-only context variable
         if (name.toLowerCase() in CONSTANTS) {
-            throw new Error(`Cannot reassign constant '${name}' at line ${this.previous().line}`);
+            this.compileErrors.push(new ScriptError(ErrorCode.INVALID_ASSIGNMENT, `Cannot reassign constant '${name}'`, token.span));
+        } else if (CONTEXT_VARIABLES[name.toLowerCase()]?.readOnly) {
+            this.compileErrors.push(new ScriptError(ErrorCode.INVALID_ASSIGNMENT, `Cannot assign to read-only variable '${name}'`, token.span));
         }
 
-        this.variables[name] = value;
-    }
-
-    skipBlock() {
-        let depth = 1;
-        while (depth > 0 && !this.isAtEnd()) {
-            if (this.check(TokenType.LBRACE)) depth++;
-            if (this.check(TokenType.RBRACE)) depth--;
-            if (depth > 0) this.advance();
+        if (this.scope) {
+            if (!this.scope.locals.has(name)) {
+                this.scope.locals.set(name, this.scope.locals.size);
+            }
+            return { type: 'Assign', name, slot: this.scope.locals.get(name), local: true, value, line: token.line, span };
         }
+        return { type: 'Assign', name, slot: this.slotOf(name), local: false, value, line: token.line, span };
     }
 
     // ========== Expression Parsing ==========
@@ -262,80 +654,50 @@ export class ScriptParser {
         return this.or();
     }
 
-    or() {
-        let left = this.and();
-        while (this.matchOperator('||')) {
-            const right = this.and();
-            left = (left > 0 || right > 0) ? 1 : 0;
+    /**
+     * Parse a left-associative chain of binary operators
+     * @param {string[]} operators - Operators handled at this precedence level
+     * @param {Function} operand - Parser for the next-higher precedence level
+     */
+    binaryChain(operators, operand) {
+        let left = operand.call(this);
+        while (this.check(TokenType.OPERATOR) && operators.includes(this.current().value)) {
+            const token = this.advance();
+            const right = operand.call(this);
+            left = { type: 'Binary', op: token.value, left, right, line: token.line, span: spanBetween(left.span, right.span) };
         }
         return left;
     }
 
+    or() {
+        return this.binaryChain(['||'], this.and);
+    }
+
     and() {
-        let left = this.equality();
-        while (this.matchOperator('&&')) {
-            const right = this.equality();
-            left = (left > 0 && right > 0) ? 1 : 0;
-        }
-        return left;
+        return this.binaryChain(['&&'], this.equality);
     }
 
     equality() {
-        let left = this.comparison();
-        while (this.matchOperator('==') || this.matchOperator('!=')) {
-            const op = this.previous().value;
-            const right = this.comparison();
-            if (op === '==') left = (left === right) ? 1 : 0;
-            else left = (left !== right) ? 1 : 0;
-        }
-        return left;
+        return this.binaryChain(['==', '!='], this.comparison);
     }
 
     comparison() {
-        let left = this.term();
-        while (this.matchOperator('<') || this.matchOperator('>') ||
-            this.matchOperator('<=') || this.matchOperator('>=')) {
-            const op = this.previous().value;
-            const right = this.term();
-            switch (op) {
-                case '<': left = (left < right) ? 1 : 0; break;
-                case '>': left = (left > right) ? 1 : 0; break;
-                case '<=': left = (left <= right) ? 1 : 0; break;
-                case '>=': left = (left >= right) ? 1 : 0; break;
-            }
-        }
-        return left;
+        return this.binaryChain(['<', '>', '<=', '>='], this.term);
     }
 
     term() {
-        let left = this.factor();
-        while (this.matchOperator('+') || this.matchOperator('-')) {
-            const op = this.previous().value;
-            const right = this.factor();
-            if (op === '+') left += right;
-            else left -= right;
-        }
-        return left;
+        return this.binaryChain(['+', '-'], this.factor);
     }
 
     factor() {
-        let left = this.unary();
-        while (this.matchOperator('*') || this.matchOperator('/') || this.matchOperator('%')) {
-            const op = this.previous().value;
-            const right = this.unary();
-            if (op === '*') left *= right;
-            else if (op === '/') {
-                if (right === 0) throw new Error('Division by zero');
-                left /= right;
-            }
-            else left %= right;
-        }
-        return left;
+        return this.binaryChain(['*', '/', '%'], this.unary);
     }
 
     unary() {
         if (this.matchOperator('-')) {
-            return -this.unary();
+            const token = this.previous();
+            const argument = this.unary();
+            return { type: 'Unary', op: '-', argument, line: token.line, span: spanBetween(token.span, argument.span) };
         }
         return this.primary();
     }
@@ -346,7 +708,7 @@ export class ScriptParser {
         // Number
         if (token.type === TokenType.NUMBER) {
             this.advance();
-            return token.value;
+            return { type: 'Number', value: token.value, line: token.line, span: token.span };
         }
 
         // Parenthesized expression
@@ -363,28 +725,23 @@ export class ScriptParser {
 
             // Check if it's a function call
             if (this.check(TokenType.LPAREN)) {
-                return this.functionCall(token.value);
-            }
-
-            // Variable lookup
-            const name = token.value;
-            if (name in this.variables) {
-                return this.variables[name];
+                return this.functionCall(token);
             }
 
-            // Check constants (case insensitive)
-            const lowerName = name.toLowerCase();
-            if (lowerName in CONSTANTS) {
-                return CONSTANTS[lowerName];
+            const node = { type: 'Variable', name: token.value, slot: -1, local: false, line: token.line, span: token.span };
+            if (this.scope) {
+                // Resolved once the whole function body is known
+                this.scope.refs.push(node);
+            } else {
+                node.slot = this.slotOf(token.value);
             }
-
-            throw new Error(`Undefined variable '${name}' at line ${token.line}`);
+            return node;
         }
 
-        throw new Error(`Unexpected token '${token.value}' at line ${token.line}`);
+        throw this.unexpected(token);
     }
 
-    functionCall(name) {
+    functionCall(nameToken) {
         this.expect(TokenType.LPAREN, '(');
 
         const args = [];
@@ -398,13 +755,7 @@ export class ScriptParser {
 
         this.expect(TokenType.RPAREN, ')');
 
-        // Look up function (case insensitive)
-        const lowerName = name.toLowerCase();
-        if (lowerName in BUILTIN_FUNCTIONS) {
-            return BUILTIN_FUNCTIONS[lowerName](args);
-        }
-
-        throw new Error(`Unknown function '${name}'`);
+        return { type: 'Call', name: nameToken.value, args, line: nameToken.line, span: this.spanFrom(nameToken) };
     }
 
     // ========== Utility Methods ==========
@@ -426,6 +777,10 @@ export class ScriptParser {
         return !this.isAtEnd() && this.current().type === type;
     }
 
+    checkKeyword(value) {
+        return this.check(TokenType.KEYWORD) && this.current().value === value;
+    }
+
     isAtEnd() {
         return this.current().type === TokenType.EOF;
     }
@@ -438,10 +793,33 @@ export class ScriptParser {
         return false;
     }
 
+    /**
+     * Span from a token up to the last consumed one
+     */
+    spanFrom(token) {
+        return spanBetween(token.span, this.previous().span);
+    }
+
+    unexpected(token) {
+        if (token.type === TokenType.EOF) {
+            return new ScriptError(ErrorCode.UNEXPECTED_TOKEN, 'Unexpected end of script', token.span);
+        }
+        return new ScriptError(ErrorCode.UNEXPECTED_TOKEN, `Unexpected token '${token.value}'`, token.span);
+    }
+
+    /**
+     * Consume a token of the given type. If it is missing, the error points
+     * just past the previous token, where it was expected.
+     */
     expect(type, expected) {
         if (this.check(type)) {
             return this.advance();
         }
-        throw new Error(`Expected '${expected}' at line ${this.current().line}`);
+
+        const previous = this.previous();
+        const span = previous
+            ? { ...previous.span, start: previous.end, column: previous.endColumn }
+            : this.current().span;
+        throw new ScriptError(ErrorCode.EXPECTED_TOKEN, `Expected '${expected}'`, span);
     }
 }
@@ -0,0 +1,58 @@
+/**
+ * Phase Portrait
+ * Runs the same simulation from a grid of start points covering the diagram
+ */
+
+import { summarizeMetrics, DEFAULT_TOLERANCE } from './metrics.js';
+
+/**
+ * Start points at the centres of an n x n grid over [0, scale]²
+ * @returns {Array} - [{ x, y }], row by row from the bottom left
+ */
+export function gridPoints(count, scale = 1) {
+    const n = Math.max(1, Math.floor(count));
+    const points = [];
+    for (let row = 0; row < n; row++) {
+        for (let column = 0; column < n; column++) {
+            points.push({ x: scale * (column + 0.5) / n, y: scale * (row + 0.5) / n });
+        }
+    }
+    return points;
+}
+
+/**
+ * Index of the trajectory point by which every sender has updated once
+ */
+function firstRoundIndex(trajectory, senderCount) {
+    const updated = new Set();
+    for (let i = 1; i < trajectory.length; i++) {
+        trajectory[i].updated.forEach(index => updated.add(index));
+        if (updated.size >= senderCount) return i;
+    }
+    return trajectory.length - 1;
+}
+
+/**
+ * Run the engine from every start point
+ * @param {SimulationEngine} engine - Configured engine, used for the runs (see SimulationEngine.clone)
+ * @param {Object} params - Per-sender parameter sets, as for SimulationEngine.run()
+ * @param {Array} starts - [{ point: { x, y }, rates: [number] }] start rates of every sender per point
+ * @param {Object} options - { tolerance } for the convergence metrics
+ * @returns {Array} - [{ point, trajectory, metrics, errors, round }] where round is the
+ *                    index of the trajectory point after the first round (every sender acted once)
+ */
+export function runPhasePortrait(engine, params, starts, options = {}) {
+    const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+
+    return starts.map(({ point, rates }) => {
+        engine.setStartRates(rates);
+        const { trajectory, errors } = engine.runHeadless(params);
+        return {
+            point,
+            trajectory,
+            metrics: summarizeMetrics(trajectory, { tolerance }),
+            errors,
+            round: firstRoundIndex(trajectory, engine.getSenderCount())
+        };
+    });
+}
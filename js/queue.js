@@ -0,0 +1,56 @@
+/**
+ * Bottleneck Queue
+ * FIFO buffer in front of the link, as a fluid model: traffic arrives at the
+ * senders' total rate, the link serves up to its capacity, the rest waits in
+ * the buffer and whatever does not fit is dropped
+ */
+
+export class BottleneckQueue {
+    /**
+     * @param {number} size - Buffer size in rate × time; 0 = no buffer, so
+     *                        everything above the capacity is dropped
+     */
+    constructor(size = 0) {
+        this.setSize(size);
+    }
+
+    setSize(size) {
+        const value = Number(size ?? 0);
+        if (!(value >= 0)) {
+            throw new Error('The buffer size must be 0 or more');
+        }
+        this.size = value;
+    }
+
+    /**
+     * Let traffic arrive at a constant rate for a while
+     * @param {number} backlog - Backlog at the start
+     * @param {number} duration - Time the traffic keeps arriving
+     * @returns {Object} - { backlog at the end, dropped: traffic lost in that time }
+     */
+    evolve(backlog, traffic, capacity, duration) {
+        const excess = traffic - capacity;
+        const filled = backlog + excess * duration;
+        return {
+            backlog: Math.max(0, Math.min(this.size, filled)),
+            dropped: excess > 0 ? Math.max(0, filled - this.size) : 0
+        };
+    }
+
+    /**
+     * The link at one instant
+     * @returns {Object} - { traffic, capacity, queue, delay: queueing delay,
+     *                       dropped: rate at which traffic is lost, fill: queue / size (null without a buffer) }
+     */
+    state(backlog, traffic, capacity) {
+        const overflowing = backlog >= this.size && traffic > capacity;
+        return {
+            traffic,
+            capacity,
+            queue: backlog,
+            delay: backlog / capacity,
+            dropped: overflowing ? traffic - capacity : 0,
+            fill: this.size > 0 ? backlog / this.size : null
+        };
+    }
+}
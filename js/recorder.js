@@ -0,0 +1,84 @@
+/**
+ * Run Recording
+ * Turns the frames of a simulation run into an animated GIF or a WebM video,
+ * encoded in the browser
+ */
+
+import { GifEncoder } from './gif.js';
+
+export const RECORDING_FORMATS = {
+    gif: { label: 'Animated GIF', extension: 'gif', type: 'image/gif' },
+    webm: { label: 'WebM video', extension: 'webm', type: 'video/webm' }
+};
+
+// The last frame stays up this long (ms), so the end of the run can be seen
+const END_HOLD = 2000;
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Encode frames drawn onto a canvas one after the other
+ * @param {HTMLCanvasElement} canvas - Canvas every frame is drawn on
+ * @param {number} frameCount - Number of frames
+ * @param {Function} drawFrame - (index) => void, draws a frame onto the canvas
+ * @param {Object} options - { format: 'gif' | 'webm', fps, onProgress: (done, total) => void }
+ * @returns {Promise<Blob>} - The encoded file
+ */
+export async function recordFrames(canvas, frameCount, drawFrame, options = {}) {
+    const format = RECORDING_FORMATS[options.format] ? options.format : 'gif';
+    const delay = 1000 / Math.min(60, Math.max(1, options.fps || 10));
+    const onProgress = options.onProgress || (() => {});
+    const frameDelay = i => (i === frameCount - 1 ? Math.max(delay, END_HOLD) : delay);
+
+    if (format === 'webm') {
+        return recordVideo(canvas, frameCount, drawFrame, frameDelay, onProgress);
+    }
+
+    const ctx = canvas.getContext('2d');
+    const encoder = new GifEncoder(canvas.width, canvas.height);
+    for (let i = 0; i < frameCount; i++) {
+        drawFrame(i);
+        encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, frameDelay(i));
+        onProgress(i + 1, frameCount);
+        await wait(0); // Keep the page responsive between frames
+    }
+    return new Blob([encoder.finish()], { type: RECORDING_FORMATS.gif.type });
+}
+
+/**
+ * Record the canvas with a MediaRecorder. Video is captured in real time,
+ * so this takes as long as the video plays.
+ */
+async function recordVideo(canvas, frameCount, drawFrame, frameDelay, onProgress) {
+    const mimeType = typeof MediaRecorder === 'undefined' || !canvas.captureStream
+        ? null
+        : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error('This browser cannot record WebM video; record a GIF instead');
+    }
+
+    // Frame rate 0: a frame is captured only when requested
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    for (let i = 0; i < frameCount; i++) {
+        drawFrame(i);
+        track.requestFrame?.();
+        onProgress(i + 1, frameCount);
+        await wait(frameDelay(i));
+    }
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(t => t.stop());
+
+    return new Blob(chunks, { type: RECORDING_FORMATS.webm.type });
+}
@@ -0,0 +1,83 @@
+/**
+ * Run History
+ * Completed simulation runs kept for comparison on the diagram and timeline
+ */
+
+// Colors handed out to runs in turn
+export const RUN_COLORS = [
+    '#2563EB', '#DC2626', '#16A34A', '#9333EA',
+    '#EA580C', '#0891B2', '#DB2777', '#65A30D'
+];
+
+export class RunHistory {
+    constructor() {
+        this.runs = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Store a completed run
+     * @param {Object} run - { name, scripts, params, rtt, weights, capacity, start, trajectory, metrics }
+     * @returns {Object} - The stored run, with id, color and visible added
+     */
+    add(run) {
+        const id = this.nextId++;
+        const stored = {
+            ...run,
+            id,
+            name: run.name || `Run ${id}`,
+            color: RUN_COLORS[(id - 1) % RUN_COLORS.length],
+            visible: true
+        };
+        this.runs.push(stored);
+        return stored;
+    }
+
+    get(id) {
+        return this.runs.find(run => run.id === id) || null;
+    }
+
+    list() {
+        return [...this.runs];
+    }
+
+    /**
+     * Runs currently shown, oldest first
+     */
+    visible() {
+        return this.runs.filter(run => run.visible);
+    }
+
+    rename(id, name) {
+        const run = this.get(id);
+        const trimmed = String(name || '').trim();
+        if (run && trimmed) run.name = trimmed;
+        return run;
+    }
+
+    /**
+     * Replace fields of a stored run, e.g. its trajectory after a re-run
+     */
+    update(id, fields) {
+        const run = this.get(id);
+        if (run) Object.assign(run, fields);
+        return run;
+    }
+
+    setVisible(id, visible) {
+        const run = this.get(id);
+        if (run) run.visible = !!visible;
+        return run;
+    }
+
+    remove(id) {
+        const index = this.runs.findIndex(run => run.id === id);
+        if (index < 0) return false;
+        this.runs.splice(index, 1);
+        return true;
+    }
+
+    clear() {
+        this.runs = [];
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Script Library
+ * Built-in scripts plus user scripts persisted in localStorage
+ */
+
+const STORAGE_KEY = 'cavtool.userScripts';
+
+export class ScriptLibrary {
+    /**
+     * @param {Object} builtins - { 'name.cav': source } shipped with the tool
+     * @param {Storage} storage - Where user scripts are kept (localStorage in the browser)
+     */
+    constructor(builtins = {}, storage = globalThis.localStorage) {
+        this.builtins = { ...builtins };
+        this.storage = storage || null;
+        this.userScripts = this.load();
+    }
+
+    /**
+     * Load the built-in scripts from the .cav files listed in scripts/index.json
+     * @param {string} baseUrl - Location of the scripts directory
+     * @returns {Promise<string[]>} - Names of the loaded scripts
+     */
+    async loadBuiltins(baseUrl = 'scripts/') {
+        const response = await fetch(`${baseUrl}index.json`);
+        if (!response.ok) {
+            throw new Error(`Could not load script index (${response.status})`);
+        }
+
+        const names = await response.json();
+        const sources = await Promise.all(names.map(async name => {
+            const file = await fetch(`${baseUrl}${name}`);
+            if (!file.ok) {
+                throw new Error(`Could not load ${name} (${file.status})`);
+            }
+            return file.text();
+        }));
+
+        this.builtins = {};
+        names.forEach((name, i) => {
+            this.builtins[name] = sources[i];
+        });
+        return names;
+    }
+
+    /**
+     * Add a script read from a file. A file that matches a built-in exactly
+     * resolves to the built-in; other clashes with built-in names get a suffix.
+     * @returns {string} - Name under which the script is now available
+     */
+    importScript(fileName, source) {
+        const name = ScriptLibrary.normalizeName(fileName.replace(/^.*[\\/]/, ''));
+        if (!(name in this.builtins)) {
+            return this.save(name, source);
+        }
+        if (this.builtins[name] === source) {
+            return name;
+        }
+        return this.save(name.replace(/\.cav$/i, ' (imported).cav'), source);
+    }
+
+    load() {
+        if (!this.storage) return {};
+        try {
+            const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            return saved && typeof saved === 'object' ? saved : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    persist() {
+        if (this.storage) {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.userScripts));
+        }
+    }
+
+    /**
+     * Names of all scripts, built-ins first
+     * @returns {Object} - { builtin: [name], user: [name] }
+     */
+    list() {
+        return {
+            builtin: Object.keys(this.builtins),
+            user: Object.keys(this.userScripts).sort()
+        };
+    }
+
+    get(name) {
+        if (name in this.userScripts) return this.userScripts[name];
+        return this.builtins[name];
+    }
+
+    has(name) {
+        return name in this.userScripts || name in this.builtins;
+    }
+
+    isBuiltin(name) {
+        return name in this.builtins && !(name in this.userScripts);
+    }
+
+    /**
+     * Save a user script. Names get a .cav suffix; built-ins cannot be overwritten.
+     * @returns {string} - The name the script was saved under
+     */
+    save(name, source) {
+        const scriptName = ScriptLibrary.normalizeName(name);
+        if (!scriptName) {
+            throw new Error('Script name must not be empty');
+        }
+        if (scriptName in this.builtins) {
+            throw new Error(`'${scriptName}' is a built-in script; save it under another name`);
+        }
+        this.userScripts[scriptName] = source;
+        this.persist();
+        return scriptName;
+    }
+
+    remove(name) {
+        if (!(name in this.userScripts)) return false;
+        delete this.userScripts[name];
+        this.persist();
+        return true;
+    }
+
+    static normalizeName(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return '';
+        return trimmed.toLowerCase().endsWith('.cav') ? trimmed : `${trimmed}.cav`;
+    }
+}
@@ -4,21 +4,46 @@
  */
 
 import { ScriptParser } from './parser.js';
+import { DEFAULT_MAX_ITERATIONS } from './evaluator.js';
+import { CapacityModel } from './capacity.js';
+import { FeedbackModel } from './feedback.js';
+import { BottleneckQueue } from './queue.js';
+import { jainIndex, utilization } from './metrics.js';
+
+// Shortest RTT a sender may have
+export const MIN_RTT = 0.01;
+
+// Update times closer than this count as simultaneous
+const EVENT_EPSILON = 1e-9;
 
 export class Sender {
     constructor(scriptContent = '') {
         this.rate = 0;
-        this.parser = new ScriptParser(scriptContent);
-        this.scriptContent = scriptContent;
+        this.prevRate = null; // Rate and traffic at the previous evaluation
+        this.prevTraffic = null;
+        this.maxRate = 1; // Upper bound for the rate, follows the peak link capacity
+        this.iterationLimit = DEFAULT_MAX_ITERATIONS;
+        this.tracing = false; // Report variables and branches of every evaluation
+        this.random = Math.random; // Generator behind the script's random()
+        this.setScript(scriptContent);
     }
 
     setScript(content) {
         this.scriptContent = content;
         this.parser = new ScriptParser(content);
+        this.parser.maxIterations = this.iterationLimit;
+    }
+
+    /**
+     * Cap the loop iterations one evaluation of the script may run
+     */
+    setIterationLimit(limit) {
+        this.iterationLimit = limit;
+        this.parser.maxIterations = limit;
     }
 
     setRate(rate) {
-        this.rate = Math.max(0, Math.min(1, rate)); // Clamp to [0, 1]
+        this.rate = Math.max(0, Math.min(this.maxRate, rate)); // Clamp to [0, maxRate]
     }
 
     getRate() {
@@ -27,51 +52,108 @@ export class Sender {
 
     /**
      * Execute one step of the congestion avoidance algorithm
-     * @param {number} traffic - Total traffic (sum of all sender rates)
-     * @param {Object} params - Parameter values from UI sliders
+     * @param {number} traffic - Total traffic (sum of all sender rates) as this sender measured it
+     * @param {Object} params - Values of the script's #define_param parameters by name (e.g. from the sliders)
+     * @param {Object} info - Engine state: { step, time, rtt, index, loss, capacity, weight, queue, delay, dropped }
      */
-    calculate(traffic, params = {}) {
-        // Set parameters from sliders
-        for (const [name, value] of Object.entries(params)) {
-            this.parser.setVariable(name, value);
-        }
+    calculate(traffic, params = {}, info = {}) {
+        // The first evaluation has no history; it sees the current values
+        const prevRate = this.prevRate ?? this.rate;
+        const prevTraffic = this.prevTraffic ?? traffic;
+        this.prevRate = this.rate;
+        this.prevTraffic = traffic;
 
         const result = this.parser.parse({
             rate: this.rate,
-            traffic: traffic
-        });
+            traffic: traffic,
+            step: info.step ?? 0,
+            time: info.time ?? info.step ?? 0,
+            rtt: info.rtt ?? 1,
+            index: info.index ?? 0,
+            prevrate: prevRate,
+            prevtraffic: prevTraffic,
+            loss: info.loss ?? (traffic > (info.capacity ?? 1) ? 1 : 0),
+            capacity: info.capacity ?? 1,
+            weight: info.weight ?? 1,
+            queue: info.queue ?? 0,
+            delay: info.delay ?? 0,
+            dropped: info.dropped ?? 0
+        }, { params, trace: this.tracing, random: this.random });
 
         if (result.errors.length > 0) {
-            return { success: false, errors: result.errors };
+            return { success: false, errors: result.errors, trace: result.trace };
         }
 
-        this.rate = Math.max(0, Math.min(1, result.rate)); // Clamp to [0, 1]
-        return { success: true, rate: this.rate };
+        this.setRate(result.rate);
+        return { success: true, rate: this.rate, trace: result.trace };
     }
 
     getParams() {
-        // Parse once to extract parameters
-        this.parser.parse({ rate: 0, traffic: 0 });
+        // Parameters are collected when the script is compiled
         return this.parser.getParams();
     }
 
     resetStaticVars() {
         this.parser.resetStaticVars();
+        this.prevRate = null;
+        this.prevTraffic = null;
     }
 }
 
 export class SimulationEngine {
-    constructor() {
-        this.senders = [new Sender(), new Sender()];
+    constructor(senderCount = 2) {
+        this.senders = [];
         this.duration = 50;
-        this.rtt = [1, 1]; // Round trip times for each sender
+        this.rtt = []; // Round trip times for each sender
+        this.rttJitter = 0; // Relative random variation of every round's RTT
+        this.weights = []; // Fair-share weight of each sender
+        this.capacityModel = new CapacityModel(1); // Bottleneck link capacity over time
+        this.feedback = new FeedbackModel(); // Loss, noise and delay of the congestion signal
+        this.queue = new BottleneckQueue(); // Buffer in front of the link (size 0 = none)
         this.animationDelay = 1;
+        this.iterationLimit = DEFAULT_MAX_ITERATIONS; // Loop iterations and function calls per script evaluation
         this.isRunning = false;
-        this.currentStep = 0;
+        this.currentStep = 0; // Number of update events so far
+        this.time = 0;
         this.trajectory = [];
+        this.segments = []; // Rate changes so far: [{ time, traffic, capacity, backlog }]
+        this.rounds = []; // RTT of every sender's current round
+        this.nextUpdate = []; // Time of every sender's next update
+        this.debug = false; // Record a per-sender snapshot with every step
+        this.paused = false;
+        this.pauseAt = null; // Step after which a running simulation pauses
+        this.wakeUp = null; // Resolves the wait of a paused run
         this.onStep = null; // Callback for each simulation step
+        this.onPause = null; // Callback when a run pauses: (step) => void
         this.onComplete = null; // Callback when simulation completes
         this.onError = null; // Error callback
+
+        this.setSenderCount(senderCount);
+    }
+
+    /**
+     * Grow or shrink the set of competing senders.
+     * New senders start with an empty script, rate 0, RTT 1 and weight 1.
+     */
+    setSenderCount(count) {
+        const n = Math.max(1, parseInt(count) || 2);
+        while (this.senders.length < n) {
+            const sender = new Sender();
+            sender.setIterationLimit(this.iterationLimit);
+            sender.maxRate = this.getRateLimit();
+            sender.tracing = this.debug;
+            sender.random = () => this.feedback.random();
+            this.senders.push(sender);
+            this.rtt.push(1);
+            this.weights.push(1);
+        }
+        this.senders.length = n;
+        this.rtt.length = n;
+        this.weights.length = n;
+    }
+
+    getSenderCount() {
+        return this.senders.length;
     }
 
     setScript(senderIndex, content) {
@@ -80,19 +162,127 @@ export class SimulationEngine {
 
     setDuration(duration) {
         this.duration = Math.max(1, parseInt(duration) || 50);
+        this.senders.forEach(s => { s.maxRate = this.getRateLimit(); });
+    }
+
+    /**
+     * Set the bottleneck capacity: a number, or a constant/steps/sine spec
+     * (see CapacityModel). Throws if the spec is invalid.
+     */
+    setCapacity(spec) {
+        this.capacityModel = spec instanceof CapacityModel ? spec : new CapacityModel(spec);
+        this.senders.forEach(s => { s.maxRate = this.getRateLimit(); });
+    }
+
+    capacityAt(step) {
+        return this.capacityModel.at(step);
+    }
+
+    /**
+     * Largest rate a sender may reach: the peak capacity over the run, at least 1
+     */
+    getRateLimit() {
+        return Math.max(1, this.capacityModel.peak(this.duration));
     }
 
+    /**
+     * Optimal allocation at a step: the capacity shared in proportion to the
+     * sender weights (equally while all weights are the same)
+     * @returns {number[]} - One target rate per sender
+     */
+    optimumAt(step) {
+        const capacity = this.capacityAt(step);
+        const total = this.weights.reduce((sum, w) => sum + w, 0);
+        return this.weights.map(w => capacity * w / total);
+    }
+
+    /**
+     * Set the weight of a sender in the fair allocation (e.g. 2 = twice the share)
+     */
+    setWeight(senderIndex, weight) {
+        const value = parseFloat(weight);
+        this.weights[senderIndex] = value > 0 ? value : 1;
+    }
+
+    getWeights() {
+        return [...this.weights];
+    }
+
+    /**
+     * Set the bottleneck buffer size in rate × steps (0 = no buffer). Throws if negative.
+     */
+    setBufferSize(size) {
+        this.queue.setSize(size);
+    }
+
+    /**
+     * Set how senders see the link (see FeedbackModel). Throws if the config is invalid.
+     * The same seeded generator drives the scripts' random().
+     */
+    setFeedback(config) {
+        this.feedback = config instanceof FeedbackModel ? config : new FeedbackModel(config);
+    }
+
+    /**
+     * Steps by which a sender's view of the link lags behind
+     */
+    setFeedbackDelay(senderIndex, steps) {
+        this.feedback.setDelay(senderIndex, steps);
+    }
+
+    /**
+     * Set a sender's round trip time: it updates its rate once per RTT, acting
+     * on feedback that is one RTT old. Any positive time, 1 = one step.
+     */
     setRTT(senderIndex, rtt) {
-        this.rtt[senderIndex] = Math.max(1, parseInt(rtt) || 1);
+        const value = parseFloat(rtt);
+        this.rtt[senderIndex] = value > 0 ? Math.max(MIN_RTT, value) : 1;
+    }
+
+    /**
+     * Vary every round's RTT at random by up to this fraction (0 - 0.9) of the sender's RTT
+     */
+    setRTTJitter(jitter) {
+        this.rttJitter = Math.min(0.9, Math.max(0, parseFloat(jitter) || 0));
     }
 
     setAnimationDelay(delay) {
         this.animationDelay = Math.max(1, parseInt(delay) || 1);
     }
 
+    /**
+     * Limit the loop iterations a script may run per step, so a runaway
+     * loop reports an error instead of freezing the animation
+     */
+    setIterationLimit(limit) {
+        this.iterationLimit = Math.max(1, parseInt(limit) || DEFAULT_MAX_ITERATIONS);
+        this.senders.forEach(s => s.setIterationLimit(this.iterationLimit));
+    }
+
+    /**
+     * Record what every script evaluation did (variables before/after, branches,
+     * the line that set the rate) in stepData.debug
+     */
+    setDebug(enabled) {
+        this.debug = !!enabled;
+        this.senders.forEach(s => { s.tracing = this.debug; });
+    }
+
     setStartPosition(x, y) {
         this.senders[0].setRate(x);
-        this.senders[1].setRate(y);
+        this.senders[1]?.setRate(y);
+    }
+
+    /**
+     * Set the start rate of every sender at once
+     * @param {number[]} rates - One rate per sender; missing entries are left as is
+     */
+    setStartRates(rates) {
+        rates.forEach((rate, i) => this.senders[i]?.setRate(rate));
+    }
+
+    getRates() {
+        return this.senders.map(s => s.getRate());
     }
 
     getParams(senderIndex) {
@@ -102,74 +292,247 @@ export class SimulationEngine {
     reset() {
         this.isRunning = false;
         this.currentStep = 0;
+        this.time = 0;
         this.trajectory = [];
         this.senders.forEach(s => s.resetStaticVars());
     }
 
     /**
-     * Run the simulation
-     * @param {Object} params - { sender0: { alpha: 0.1, ... }, sender1: { ... } }
+     * Euclidean distance of a rate vector from the optimal allocation
      */
-    async run(params = { sender0: {}, sender1: {} }) {
-        if (this.isRunning) return;
+    distanceFromOptimum(rates, optimum) {
+        return Math.sqrt(rates.reduce((sum, r, i) => sum + Math.pow(optimum[i] - r, 2), 0));
+    }
 
-        this.isRunning = true;
+    /**
+     * A new engine with the same senders, scripts and settings, for running
+     * simulations on the side (sweeps, phase portraits) without touching this one
+     */
+    clone() {
+        const engine = new SimulationEngine(this.senders.length);
+        engine.duration = this.duration;
+        engine.rtt = [...this.rtt];
+        engine.rttJitter = this.rttJitter;
+        engine.weights = [...this.weights];
+        engine.capacityModel = this.capacityModel;
+        engine.feedback = this.feedback.clone();
+        engine.setBufferSize(this.queue.size);
+        engine.setIterationLimit(this.iterationLimit);
+        this.senders.forEach((sender, i) => {
+            engine.setScript(i, sender.scriptContent);
+            engine.senders[i].maxRate = sender.maxRate;
+        });
+        engine.setStartRates(this.getRates());
+        return engine;
+    }
+
+    /**
+     * Reset the run state and record the start point
+     */
+    beginRun() {
         this.currentStep = 0;
+        this.time = 0;
         this.trajectory = [];
 
         // Reset static variables for fresh simulation
         this.senders.forEach(s => s.resetStaticVars());
+        this.feedback.reset();
+
+        // Every sender first acts one RTT after the start
+        this.rounds = this.senders.map((_, i) => this.drawRTT(i));
+        this.nextUpdate = [...this.rounds];
 
         // Record initial position
-        const startX = this.senders[0].getRate();
-        const startY = this.senders[1].getRate();
-        this.trajectory.push({ x: startX, y: startY, step: 0 });
-
-        for (let step = 1; step <= this.duration && this.isRunning; step++) {
-            this.currentStep = step;
-
-            const oldRates = [this.senders[0].getRate(), this.senders[1].getRate()];
-            const traffic = oldRates[0] + oldRates[1];
-
-            // Execute each sender's algorithm based on RTT
-            const errors = [];
-            for (let i = 0; i < this.senders.length; i++) {
-                if (step % this.rtt[i] === 0) {
-                    const senderParams = i === 0 ? params.sender0 : params.sender1;
-                    const result = this.senders[i].calculate(traffic, senderParams);
-                    if (!result.success) {
-                        errors.push(...result.errors);
-                    }
-                }
+        const startRates = this.getRates();
+        const startCapacity = this.capacityAt(0);
+        const startOptimum = this.optimumAt(0);
+        const startTraffic = startRates.reduce((sum, r) => sum + r, 0);
+        this.segments = [{ time: 0, traffic: startTraffic, capacity: startCapacity, backlog: 0 }];
+        this.trajectory.push({
+            x: startRates[0],
+            y: startRates[1] ?? 0,
+            rates: startRates,
+            step: 0,
+            time: 0,
+            updated: [],
+            traffic: startTraffic,
+            capacity: startCapacity,
+            optimum: startOptimum,
+            distance: this.distanceFromOptimum(startRates, startOptimum),
+            fairness: jainIndex(startRates, this.weights),
+            utilization: utilization(startTraffic, startCapacity),
+            queue: 0,
+            delay: 0,
+            dropped: 0
+        });
+    }
+
+    /**
+     * RTT of a sender's next round: its RTT, varied by the jitter
+     */
+    drawRTT(senderIndex) {
+        const rtt = this.rtt[senderIndex];
+        if (this.rttJitter === 0) return rtt;
+        return rtt * (1 + this.rttJitter * (2 * this.feedback.random() - 1));
+    }
+
+    /**
+     * Time of the next sender update
+     */
+    nextEventTime() {
+        return Math.min(...this.nextUpdate);
+    }
+
+    hasNextEvent() {
+        return this.nextEventTime() <= this.duration + EVENT_EPSILON;
+    }
+
+    /**
+     * The link at a past time: the traffic then in effect, the queue and the capacity
+     * (before the start: the start state). See BottleneckQueue.state
+     */
+    linkAt(time) {
+        const t = Math.max(0, time);
+
+        // Last rate change at or before t
+        let low = 0;
+        let high = this.segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.segments[mid].time <= t + EVENT_EPSILON) {
+                low = mid;
+            } else {
+                high = mid - 1;
             }
+        }
 
-            if (errors.length > 0 && this.onError) {
-                this.onError(errors);
+        const segment = this.segments[low];
+        const { backlog } = this.queue.evolve(segment.backlog, segment.traffic, segment.capacity, Math.max(0, t - segment.time));
+        return this.queue.state(backlog, segment.traffic, this.capacityAt(t));
+    }
+
+    /**
+     * Advance the simulation to the next update event and record it. Every
+     * sender due at that time acts on the link as it was one RTT (plus its
+     * feedback delay) ago.
+     * @param {Object} params - Per-sender parameter sets, see run()
+     * @returns {Object} - { stepData, errors } with the script errors of this event
+     */
+    advance(params) {
+        const time = this.nextEventTime();
+        const step = ++this.currentStep;
+        this.time = time;
+
+        const oldRates = this.getRates();
+        const capacity = this.capacityAt(time);
+
+        // The queue since the previous event
+        const segment = this.segments[this.segments.length - 1];
+        const interval = time - segment.time;
+        const link = this.queue.evolve(segment.backlog, segment.traffic, segment.capacity, interval);
+
+        // Execute the algorithm of every sender whose round ends now
+        const errors = [];
+        const snapshots = [];
+        const updated = [];
+        for (let i = 0; i < this.senders.length; i++) {
+            if (this.nextUpdate[i] > time + EVENT_EPSILON) continue;
+
+            const rtt = this.rounds[i];
+            const signal = this.feedback.observe(this.linkAt(time - rtt - this.feedback.delayOf(i)));
+            const result = this.senders[i].calculate(signal.traffic, params[`sender${i}`], {
+                step,
+                time,
+                rtt,
+                index: i,
+                loss: signal.loss,
+                capacity,
+                weight: this.weights[i],
+                queue: signal.queue,
+                delay: signal.delay,
+                dropped: signal.dropped
+            });
+            if (!result.success) {
+                errors.push(...result.errors);
+            }
+            if (result.trace) {
+                snapshots.push({ index: i, rate: this.senders[i].getRate(), errors: result.errors || [], ...result.trace });
             }
+            updated.push(i);
+        }
 
-            const newX = this.senders[0].getRate();
-            const newY = this.senders[1].getRate();
+        // Schedule the next round of everyone who acted
+        updated.forEach(i => {
+            this.rounds[i] = this.drawRTT(i);
+            this.nextUpdate[i] = time + this.rounds[i];
+        });
 
-            // Calculate distance from optimum (0.5, 0.5)
-            const distance = Math.sqrt(Math.pow(0.5 - newX, 2) + Math.pow(0.5 - newY, 2));
+        const rates = this.getRates();
+        const optimum = this.optimumAt(time);
+        const newTraffic = rates.reduce((sum, r) => sum + r, 0);
+        this.segments.push({ time, traffic: newTraffic, capacity, backlog: link.backlog });
+
+        const stepData = {
+            step,
+            time,
+            updated,
+            oldRates,
+            rates,
+            oldX: oldRates[0],
+            oldY: oldRates[1] ?? 0,
+            x: rates[0],
+            y: rates[1] ?? 0,
+            traffic: newTraffic,
+            capacity,
+            optimum,
+            distance: this.distanceFromOptimum(rates, optimum),
+            fairness: jainIndex(rates, this.weights),
+            utilization: utilization(newTraffic, capacity),
+            queue: link.backlog,
+            delay: link.backlog / capacity,
+            // Per time unit, like the 'dropped' scripts read: the mean over the interval
+            dropped: interval > 0 ? link.dropped / interval : 0,
+            progress: time / this.duration
+        };
+        if (this.debug) {
+            stepData.debug = snapshots;
+        }
 
-            const stepData = {
-                step,
-                oldX: oldRates[0],
-                oldY: oldRates[1],
-                x: newX,
-                y: newY,
-                traffic: newX + newY,
-                distance,
-                progress: step / this.duration
-            };
+        this.trajectory.push(stepData);
+        return { stepData, errors };
+    }
 
-            this.trajectory.push(stepData);
+    /**
+     * Run the simulation until the time reaches the duration
+     * @param {Object} params - { sender0: { alpha: 0.1, ... }, sender1: { ... }, ... }
+     */
+    async run(params = {}) {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.beginRun();
+
+        while (this.isRunning && this.hasNextEvent()) {
+            await this.waitWhilePaused();
+            if (!this.isRunning) break;
+
+            const { stepData, errors } = this.advance(params);
+
+            if (errors.length > 0 && this.onError) {
+                this.onError(errors);
+            }
 
             if (this.onStep) {
                 this.onStep(stepData);
             }
 
+            // Single-step / run-to-step pause after the requested step
+            if (this.pauseAt !== null && stepData.step >= this.pauseAt && this.hasNextEvent()) {
+                this.pauseAt = null;
+                this.paused = true;
+                if (this.onPause) this.onPause(stepData.step);
+            }
+
             // Animation delay
             await this.sleep(this.animationDelay);
         }
@@ -181,8 +544,76 @@ export class SimulationEngine {
         }
     }
 
+    /**
+     * Run the whole simulation synchronously, without delays or callbacks.
+     * Works without a DOM, e.g. from Node.
+     * @param {Object} params - Per-sender parameter sets, see run()
+     * @returns {Object} - { trajectory, errors: [{ step, time, code, message, span }] }
+     */
+    runHeadless(params = {}) {
+        if (this.isRunning) {
+            throw new Error('A simulation is already running');
+        }
+
+        this.beginRun();
+        const errors = [];
+        while (this.hasNextEvent()) {
+            const { stepData, errors: stepErrors } = this.advance(params);
+            stepErrors.forEach(error => errors.push({ step: stepData.step, time: stepData.time, ...error.toJSON() }));
+        }
+
+        return { trajectory: this.trajectory, errors };
+    }
+
     stop() {
         this.isRunning = false;
+        this.pauseAt = null;
+        this.paused = false;
+        this.wake();
+    }
+
+    // ========== Debugging ==========
+
+    /**
+     * Pause before the next step; a run started while paused waits before step 1
+     */
+    pause() {
+        this.paused = true;
+        if (this.isRunning && this.onPause) this.onPause(this.currentStep);
+    }
+
+    resume() {
+        this.pauseAt = null;
+        this.paused = false;
+        this.wake();
+    }
+
+    /**
+     * Run exactly one more step, then pause again
+     */
+    stepOnce() {
+        this.runToStep(this.currentStep + 1);
+    }
+
+    /**
+     * Run until the given step has been simulated, then pause
+     */
+    runToStep(step) {
+        this.pauseAt = Math.max(step, this.currentStep + 1);
+        this.paused = false;
+        this.wake();
+    }
+
+    wake() {
+        const wakeUp = this.wakeUp;
+        this.wakeUp = null;
+        if (wakeUp) wakeUp();
+    }
+
+    async waitWhilePaused() {
+        while (this.paused && this.isRunning) {
+            await new Promise(resolve => { this.wakeUp = resolve; });
+        }
     }
 
     sleep(ms) {
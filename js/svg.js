@@ -0,0 +1,247 @@
+/**
+ * SVG Context
+ * Records the canvas drawing calls of the visualizations as an SVG document,
+ * so figures come out as vector graphics from the same drawing code.
+ * Covers the part of CanvasRenderingContext2D the visualizations use.
+ */
+
+const FULL_CIRCLE = Math.PI * 2;
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Numbers in attributes, without float noise
+function num(value) {
+    return String(Number(value.toFixed(3)));
+}
+
+class SvgGradient {
+    constructor(id, x0, y0, r0, x1, y1, r1) {
+        Object.assign(this, { id, x0, y0, r0, x1, y1, r1 });
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+
+    toSVG() {
+        const stops = this.stops
+            .map(({ offset, color }) => `<stop offset="${num(offset)}" stop-color="${escapeXML(color)}"/>`)
+            .join('');
+        return `<radialGradient id="${this.id}" gradientUnits="userSpaceOnUse" ` +
+            `cx="${num(this.x1)}" cy="${num(this.y1)}" r="${num(this.r1)}" ` +
+            `fx="${num(this.x0)}" fy="${num(this.y0)}" fr="${num(this.r0)}">${stops}</radialGradient>`;
+    }
+}
+
+export class SvgContext {
+    /**
+     * @param {number} width - Size of the drawing in canvas pixels
+     * @param {number} height
+     * @param {Object} options - { background: color filled behind the drawing, or null }
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.background = options.background ?? null;
+
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.globalAlpha = 1;
+
+        this.lineDash = [];
+        this.transform = [1, 0, 0, 1, 0, 0];
+        this.stack = []; // States kept by save()
+        this.path = '';
+        this.elements = [];
+        this.gradients = [];
+    }
+
+    // ========== State ==========
+
+    save() {
+        const { strokeStyle, fillStyle, lineWidth, font, textAlign, globalAlpha, lineDash, transform } = this;
+        this.stack.push({ strokeStyle, fillStyle, lineWidth, font, textAlign, globalAlpha, lineDash, transform });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    translate(x, y) {
+        this.multiply([1, 0, 0, 1, x, y]);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.multiply([cos, sin, -sin, cos, 0, 0]);
+    }
+
+    scale(x, y) {
+        this.multiply([x, 0, 0, y, 0, 0]);
+    }
+
+    multiply([a2, b2, c2, d2, e2, f2]) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [
+            a * a2 + c * b2, b * a2 + d * b2,
+            a * c2 + c * d2, b * c2 + d * d2,
+            a * e2 + c * f2 + e, b * e2 + d * f2 + f
+        ];
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        const gradient = new SvgGradient(`g${this.gradients.length + 1}`, x0, y0, r0, x1, y1, r1);
+        this.gradients.push(gradient);
+        return gradient;
+    }
+
+    // ========== Paths ==========
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${num(x)} ${num(y)}`;
+    }
+
+    lineTo(x, y) {
+        this.path += this.path ? `L${num(x)} ${num(y)}` : `M${num(x)} ${num(y)}`;
+    }
+
+    closePath() {
+        if (this.path) this.path += 'Z';
+    }
+
+    /**
+     * Arc as on a canvas: angles in radians, clockwise unless anticlockwise
+     */
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        const point = angle => `${num(x + radius * Math.cos(angle))} ${num(y + radius * Math.sin(angle))}`;
+        let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+
+        this.path += `${this.path ? 'L' : 'M'}${point(startAngle)}`;
+        if (sweep >= FULL_CIRCLE) {
+            // A single SVG arc cannot close on itself: draw two halves
+            const half = startAngle + (anticlockwise ? -Math.PI : Math.PI);
+            const flag = anticlockwise ? 0 : 1;
+            this.path += `A${num(radius)} ${num(radius)} 0 0 ${flag} ${point(half)}` +
+                `A${num(radius)} ${num(radius)} 0 0 ${flag} ${point(startAngle)}`;
+            return;
+        }
+
+        sweep = ((sweep % FULL_CIRCLE) + FULL_CIRCLE) % FULL_CIRCLE;
+        const large = sweep > Math.PI ? 1 : 0;
+        this.path += `A${num(radius)} ${num(radius)} 0 ${large} ${anticlockwise ? 0 : 1} ${point(endAngle)}`;
+    }
+
+    stroke() {
+        if (!this.path) return;
+        this.add(`<path d="${this.path}" fill="none"${this.strokeAttributes()}/>`);
+    }
+
+    fill() {
+        if (!this.path) return;
+        this.add(`<path d="${this.path}" fill="${this.paint(this.fillStyle)}"/>`);
+    }
+
+    // ========== Shapes and Text ==========
+
+    /**
+     * Clearing the whole drawing starts it over; partial clears are not recorded
+     */
+    clearRect(x, y, width, height) {
+        if (x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height) {
+            this.elements = [];
+            this.gradients = [];
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        this.add(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" ` +
+            `fill="${this.paint(this.fillStyle)}"/>`);
+    }
+
+    strokeRect(x, y, width, height) {
+        this.add(`<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" ` +
+            `fill="none"${this.strokeAttributes()}/>`);
+    }
+
+    fillText(text, x, y) {
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        this.add(`<text x="${num(x)}" y="${num(y)}" text-anchor="${anchor}" ` +
+            `style="font: ${escapeXML(this.font)}" fill="${this.paint(this.fillStyle)}">${escapeXML(text)}</text>`);
+    }
+
+    measureText(text) {
+        const size = parseFloat(this.font) || 10;
+        return { width: String(text).length * size * 0.55 }; // Rough average glyph width
+    }
+
+    // ========== Output ==========
+
+    paint(style) {
+        return style instanceof SvgGradient ? `url(#${style.id})` : escapeXML(style);
+    }
+
+    strokeAttributes() {
+        let attributes = ` stroke="${this.paint(this.strokeStyle)}" stroke-width="${num(this.lineWidth)}"`;
+        if (this.lineDash.length > 0) {
+            attributes += ` stroke-dasharray="${this.lineDash.map(num).join(' ')}"`;
+        }
+        return attributes;
+    }
+
+    /**
+     * Record an element with the current transform and opacity
+     */
+    add(element) {
+        const attributes = [];
+        if (this.transform.some((value, i) => value !== [1, 0, 0, 1, 0, 0][i])) {
+            attributes.push(`transform="matrix(${this.transform.map(num).join(' ')})"`);
+        }
+        if (this.globalAlpha < 1) {
+            attributes.push(`opacity="${num(this.globalAlpha)}"`);
+        }
+        this.elements.push(attributes.length > 0 ? `<g ${attributes.join(' ')}>${element}</g>` : element);
+    }
+
+    /**
+     * The recorded drawing as a standalone SVG document
+     */
+    toSVG() {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+                `viewBox="0 0 ${this.width} ${this.height}">`
+        ];
+        if (this.gradients.length > 0) {
+            lines.push(`<defs>${this.gradients.map(gradient => gradient.toSVG()).join('')}</defs>`);
+        }
+        if (this.background) {
+            lines.push(`<rect width="100%" height="100%" fill="${escapeXML(this.background)}"/>`);
+        }
+        lines.push(...this.elements, '</svg>');
+        return lines.join('\n') + '\n';
+    }
+}
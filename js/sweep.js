@@ -0,0 +1,122 @@
+/**
+ * Parameter Sweep
+ * Runs a simulation headless at every point of a grid over one or two script parameters
+ */
+
+import { summarizeMetrics, DEFAULT_TOLERANCE } from './metrics.js';
+
+// Outcomes a sweep can be coloured by. lowerIsBetter picks the colour direction;
+// value() returns NaN when a run has no value (e.g. it never converged).
+export const SWEEP_OUTCOMES = {
+    distance: {
+        label: 'Final distance from optimum',
+        lowerIsBetter: true,
+        value: (metrics, last) => last.distance
+    },
+    fairness: {
+        label: "Final Jain's index",
+        lowerIsBetter: false,
+        value: (metrics) => metrics.fairness
+    },
+    meanUtilization: {
+        label: 'Steady-state utilization',
+        lowerIsBetter: false,
+        value: (metrics) => metrics.meanUtilization
+    },
+    oscillation: {
+        label: 'Oscillation amplitude',
+        lowerIsBetter: true,
+        value: (metrics) => metrics.oscillation
+    },
+    convergedAt: {
+        label: 'Convergence time',
+        lowerIsBetter: true,
+        value: (metrics) => metrics.convergedAt ?? NaN
+    }
+};
+
+/**
+ * Evenly spaced values from min to max
+ * @param {number} count - Number of values, at least 1
+ */
+export function gridValues(min, max, count) {
+    const n = Math.max(1, Math.floor(count));
+    if (n === 1) return [(min + max) / 2];
+    return Array.from({ length: n }, (_, i) => min + (max - min) * i / (n - 1));
+}
+
+/**
+ * Grid values for a script parameter (see parseDirective): every value of a
+ * boolean or choice, whole numbers for an integer and even steps of the
+ * exponent on a log range
+ * @param {number} count - Number of values of a continuous range
+ */
+export function paramGridValues(param, count) {
+    if (param.type === 'boolean' || param.type === 'choice') {
+        return Array.from({ length: param.max - param.min + 1 }, (_, i) => param.min + i);
+    }
+    if (param.log) {
+        return gridValues(Math.log10(param.min), Math.log10(param.max), count).map(v => Math.pow(10, v));
+    }
+    const values = gridValues(param.min, param.max, count);
+    return param.type === 'integer' ? [...new Set(values.map(Math.round))] : values;
+}
+
+/**
+ * Run a sweep. Each axis sets one parameter for one or more senders; the
+ * engine is run from its current start rates at every grid point.
+ * @param {SimulationEngine} engine - Configured engine, used for the runs (see SimulationEngine.clone)
+ * @param {Object} baseParams - Per-sender parameter sets, as for SimulationEngine.run()
+ * @param {Array} axes - One or two { name, senders: [index], values: [number] }
+ * @param {Object} options - { tolerance } for the convergence metrics
+ * @returns {Object} - { axes, cells } with cells[row][column]: { values, params, metrics, last, errors };
+ *                     rows follow the second axis (a single row for a one-axis sweep)
+ */
+export function runSweep(engine, baseParams, axes, options = {}) {
+    if (axes.length < 1 || axes.length > 2) {
+        throw new Error('A sweep needs one or two parameters');
+    }
+
+    const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+    const startRates = engine.getRates();
+    const [xAxis, yAxis] = axes;
+    const rowValues = yAxis ? yAxis.values : [null];
+
+    const cells = rowValues.map(yValue => xAxis.values.map(xValue => {
+        const params = {};
+        for (const [key, set] of Object.entries(baseParams)) {
+            params[key] = { ...set };
+        }
+        const values = [xValue];
+        const apply = (axis, value) => axis.senders.forEach(i => {
+            params[`sender${i}`] = { ...params[`sender${i}`], [axis.name]: value };
+        });
+        apply(xAxis, xValue);
+        if (yAxis) {
+            apply(yAxis, yValue);
+            values.push(yValue);
+        }
+
+        engine.setStartRates(startRates);
+        const { trajectory, errors } = engine.runHeadless(params);
+        return {
+            values,
+            params,
+            metrics: summarizeMetrics(trajectory, { tolerance }),
+            last: trajectory[trajectory.length - 1],
+            errors
+        };
+    }));
+
+    engine.setStartRates(startRates);
+    return { axes, cells };
+}
+
+/**
+ * Value of an outcome for every cell of a sweep
+ * @returns {number[][]} - Same shape as sweep.cells
+ */
+export function sweepOutcome(sweep, outcomeKey) {
+    const outcome = SWEEP_OUTCOMES[outcomeKey];
+    return sweep.cells.map(row => row.map(cell => outcome.value(cell.metrics, cell.last)));
+}
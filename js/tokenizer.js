@@ -3,6 +3,8 @@
  * Lexical analyzer for the CAV scripting language
  */
 
+import { ErrorCode, ScriptError } from './errors.js';
+
 // Token types
 export const TokenType = {
     NUMBER: 'NUMBER',
@@ -21,16 +23,31 @@ export const TokenType = {
 };
 
 // Keywords
-const KEYWORDS = new Set(['if', 'else']);
+const KEYWORDS = new Set(['if', 'else', 'while', 'for', 'function', 'return']);
 
 // Operators (multi-char must come before single-char)
 const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '<', '>'];
 
 export class Token {
-    constructor(type, value, line) {
+    constructor(type, value, line, start = 0, end = start, column = 1) {
         this.type = type;
         this.value = value;
         this.line = line;
+        this.column = column; // Column of the first character, starting at 1
+        this.start = start; // Offset of the first character in the source
+        this.end = end;     // Offset just past the last character
+    }
+
+    /**
+     * Column just past the last character (tokens never span lines)
+     */
+    get endColumn() {
+        return this.column + (this.end - this.start);
+    }
+
+    get span() {
+        const { start, end, line, column, endColumn } = this;
+        return { start, end, line, column, endLine: line, endColumn };
     }
 }
 
@@ -39,7 +56,16 @@ export class Tokenizer {
         this.source = source;
         this.pos = 0;
         this.line = 1;
+        this.lineStart = 0; // Offset of the first character of the current line
         this.tokens = [];
+        this.errors = []; // ScriptErrors for characters that start no token; they are skipped
+    }
+
+    /**
+     * Add a token that starts on the current line
+     */
+    addToken(type, value, start, end) {
+        this.tokens.push(new Token(type, value, this.line, start, end, start - this.lineStart + 1));
     }
 
     tokenize() {
@@ -81,34 +107,36 @@ export class Tokenizer {
             // Single character tokens
             switch (char) {
                 case '(':
-                    this.tokens.push(new Token(TokenType.LPAREN, '(', this.line));
+                    this.addToken(TokenType.LPAREN, '(', this.pos, this.pos + 1);
                     break;
                 case ')':
-                    this.tokens.push(new Token(TokenType.RPAREN, ')', this.line));
+                    this.addToken(TokenType.RPAREN, ')', this.pos, this.pos + 1);
                     break;
                 case '{':
-                    this.tokens.push(new Token(TokenType.LBRACE, '{', this.line));
+                    this.addToken(TokenType.LBRACE, '{', this.pos, this.pos + 1);
                     break;
                 case '}':
-                    this.tokens.push(new Token(TokenType.RBRACE, '}', this.line));
+                    this.addToken(TokenType.RBRACE, '}', this.pos, this.pos + 1);
                     break;
                 case ';':
-                    this.tokens.push(new Token(TokenType.SEMICOLON, ';', this.line));
+                    this.addToken(TokenType.SEMICOLON, ';', this.pos, this.pos + 1);
                     break;
                 case ',':
-                    this.tokens.push(new Token(TokenType.COMMA, ',', this.line));
+                    this.addToken(TokenType.COMMA, ',', this.pos, this.pos + 1);
                     break;
                 case '=':
                     // Check if it's not == (already handled by operator check)
-                    this.tokens.push(new Token(TokenType.ASSIGN, '=', this.line));
+                    this.addToken(TokenType.ASSIGN, '=', this.pos, this.pos + 1);
                     break;
-                default:
-                    throw new Error(`Unexpected character '${char}' at line ${this.line}`);
+                default: {
+                    const { span } = new Token(null, char, this.line, this.pos, this.pos + 1, this.pos - this.lineStart + 1);
+                    this.errors.push(new ScriptError(ErrorCode.UNEXPECTED_CHARACTER, `Unexpected character '${char}'`, span));
+                }
             }
             this.pos++;
         }
 
-        this.tokens.push(new Token(TokenType.EOF, null, this.line));
+        this.addToken(TokenType.EOF, null, this.pos, this.pos);
         return this.tokens;
     }
 
@@ -120,6 +148,7 @@ export class Tokenizer {
             } else if (char === '\n') {
                 this.line++;
                 this.pos++;
+                this.lineStart = this.pos;
             } else {
                 break;
             }
@@ -166,7 +195,7 @@ export class Tokenizer {
         }
 
         const value = parseFloat(this.source.substring(start, this.pos));
-        this.tokens.push(new Token(TokenType.NUMBER, value, this.line));
+        this.addToken(TokenType.NUMBER, value, start, this.pos);
     }
 
     readName() {
@@ -176,8 +205,9 @@ export class Tokenizer {
         }
 
         const name = this.source.substring(start, this.pos);
-        const type = KEYWORDS.has(name.toLowerCase()) ? TokenType.KEYWORD : TokenType.NAME;
-        this.tokens.push(new Token(type, name.toLowerCase() === 'if' || name.toLowerCase() === 'else' ? name.toLowerCase() : name, this.line));
+        const isKeyword = KEYWORDS.has(name.toLowerCase());
+        const type = isKeyword ? TokenType.KEYWORD : TokenType.NAME;
+        this.addToken(type, isKeyword ? name.toLowerCase() : name, start, this.pos);
     }
 
     readPreprocessor() {
@@ -187,13 +217,13 @@ export class Tokenizer {
             this.pos++;
         }
         const directive = this.source.substring(start, this.pos).trim();
-        this.tokens.push(new Token(TokenType.PREPROCESSOR, directive, this.line));
+        this.addToken(TokenType.PREPROCESSOR, directive, start, this.pos);
     }
 
     tryReadOperator() {
         for (const op of OPERATORS) {
             if (this.source.substring(this.pos, this.pos + op.length) === op) {
-                this.tokens.push(new Token(TokenType.OPERATOR, op, this.line));
+                this.addToken(TokenType.OPERATOR, op, this.pos, this.pos + op.length);
                 this.pos += op.length;
                 return true;
             }
@@ -3,6 +3,43 @@
  * Handles the coordinate system canvas and trajectory plotting
  */
 
+import { jainIndex } from './metrics.js';
+
+/**
+ * Project a rate vector of any length onto the efficiency/fairness plane:
+ * x is the total load, y the Jain index of the rates. The efficiency line
+ * becomes vertical at the capacity and the fairness line horizontal at 1.
+ * @param {number[]} rates - One rate per sender
+ * @param {number[]} weights - Optional fair-share weight per sender
+ * @returns {Object} - { x, y } point on the diagram
+ */
+export function projectFairnessEfficiency(rates, weights = null) {
+    return {
+        x: rates.reduce((sum, r) => sum + r, 0),
+        y: jainIndex(rates, weights)
+    };
+}
+
+// Top edge of the projection: the Jain index peaks at 1, the rest is headroom
+const PROJECTION_FAIRNESS_LIMIT = 1.25;
+
+/**
+ * Let a visualization draw on another context, e.g. a larger canvas or an
+ * SvgContext, for exporting figures
+ * @param {Object} visualization - CanvasVisualization or TimelineVisualization
+ * @param {Object} ctx - Context to draw on
+ * @param {Function} draw - Drawing calls on the visualization
+ */
+export function drawWithContext(visualization, ctx, draw) {
+    const own = visualization.ctx;
+    visualization.ctx = ctx;
+    try {
+        draw();
+    } finally {
+        visualization.ctx = own;
+    }
+}
+
 export class CanvasVisualization {
     constructor(canvasElement) {
         this.canvas = canvasElement;
@@ -12,29 +49,126 @@ export class CanvasVisualization {
         this.padding = 0;
         this.trajectoryPoints = [];
 
+        // Which senders are plotted: a pair of sender indices or the projection
+        this.view = { mode: 'pair', x: 0, y: 1 };
+
+        // Rate shown at the right/top edge, and the optimal allocation
+        // (one rate per sender; null means an equal share of capacity 1)
+        this.scale = 1;
+        this.optimum = null;
+
+        // Overlay the equal-share line when the optimum is weighted
+        this.showEqualShare = false;
+
+        // Mark the points of the current run at which the bottleneck dropped traffic
+        this.showDrops = true;
+
         // Set canvas size
         this.canvas.width = this.width;
         this.canvas.height = this.height;
     }
 
     /**
-     * Convert rate (0-1) to canvas pixel coordinates
+     * Choose what the diagram shows
+     * @param {Object} view - { mode: 'pair' | 'projection', x, y } with x/y sender indices
+     */
+    setView(view) {
+        this.view = { ...this.view, ...view };
+    }
+
+    /**
+     * Set the rate at the edges of the diagram (the axes run from 0 to scale)
+     */
+    setScale(scale) {
+        this.scale = scale > 0 ? scale : 1;
+    }
+
+    /**
+     * Set the optimal allocation the reference lines are drawn for
+     * @param {number[]|null} optimum - Target rate per sender
+     */
+    setOptimum(optimum) {
+        this.optimum = optimum;
+    }
+
+    /**
+     * Also draw the equal-share fairness line and point when the optimum is weighted
+     */
+    setShowEqualShare(show) {
+        this.showEqualShare = !!show;
+    }
+
+    setShowDrops(show) {
+        this.showDrops = !!show;
+    }
+
+    /**
+     * Whether the optimum gives the senders different shares
+     */
+    isWeighted() {
+        return !!this.optimum && this.optimum.some(r => Math.abs(r - this.optimum[0]) > 1e-12);
+    }
+
+    /**
+     * The capacity of the current optimum shared equally, as a point on the diagram
+     */
+    equalSharePoint() {
+        if (!this.optimum) return { x: 0.5, y: 0.5 };
+        const total = this.optimum.reduce((sum, r) => sum + r, 0);
+        return this.project(this.optimum.map(() => total / this.optimum.length));
+    }
+
+    /**
+     * The optimal allocation as a point on the diagram
+     */
+    optimumPoint() {
+        if (!this.optimum) return { x: 0.5, y: 0.5 };
+        return this.project(this.optimum);
+    }
+
+    /**
+     * Map a rate vector to the (x, y) point plotted for the current view;
+     * the optimum supplies the weights of the projection's Jain index
+     */
+    project(rates) {
+        if (this.view.mode === 'projection') {
+            return projectFairnessEfficiency(rates, this.optimum);
+        }
+        return { x: rates[this.view.x] ?? 0, y: rates[this.view.y] ?? 0 };
+    }
+
+    /**
+     * Values at the right and top edge: rates up to the scale in the pair view;
+     * in the projection the total load up to twice the scale, so overshoot
+     * stays in sight, and the Jain index
+     */
+    axisLimits() {
+        if (this.view.mode === 'projection') {
+            return { x: 2 * this.scale, y: PROJECTION_FAIRNESS_LIMIT };
+        }
+        return { x: this.scale, y: this.scale };
+    }
+
+    /**
+     * Convert a plotted point (0 - axisLimits()) to canvas pixel coordinates
      */
     rateToPixel(rateX, rateY) {
-        const x = this.padding + rateX * (this.width - 2 * this.padding);
-        const y = this.height - this.padding - rateY * (this.height - 2 * this.padding);
+        const limits = this.axisLimits();
+        const x = this.padding + (rateX / limits.x) * (this.width - 2 * this.padding);
+        const y = this.height - this.padding - (rateY / limits.y) * (this.height - 2 * this.padding);
         return { x, y };
     }
 
     /**
-     * Convert canvas pixel to rate coordinates
+     * Convert canvas pixel to rate coordinates on the pair view's scale, in
+     * either view: a click picks the start rates of User 2 and User 1
      */
     pixelToRate(pixelX, pixelY) {
-        const rateX = (pixelX - this.padding) / (this.width - 2 * this.padding);
-        const rateY = 1 - (pixelY - this.padding) / (this.height - 2 * this.padding);
+        const rateX = this.scale * (pixelX - this.padding) / (this.width - 2 * this.padding);
+        const rateY = this.scale * (1 - (pixelY - this.padding) / (this.height - 2 * this.padding));
         return {
-            x: Math.max(0, Math.min(1, rateX)),
-            y: Math.max(0, Math.min(1, rateY))
+            x: Math.max(0, Math.min(this.scale, rateX)),
+            y: Math.max(0, Math.min(this.scale, rateY))
         };
     }
 
@@ -47,11 +181,15 @@ export class CanvasVisualization {
     }
 
     /**
-     * Draw the efficiency line (x + y = 1)
+     * Draw the efficiency line (x + y = capacity share of the plotted senders;
+     * in the projection the vertical line where the total load equals the capacity)
      */
     drawEfficiencyLine() {
-        const start = this.rateToPixel(0, 1);
-        const end = this.rateToPixel(1, 0);
+        const optimum = this.optimumPoint();
+        const projection = this.view.mode === 'projection';
+        const sum = optimum.x + optimum.y;
+        const start = projection ? this.rateToPixel(optimum.x, 0) : this.rateToPixel(0, sum);
+        const end = projection ? this.rateToPixel(optimum.x, this.axisLimits().y) : this.rateToPixel(sum, 0);
 
         this.ctx.beginPath();
         this.ctx.setLineDash([5, 5]);
@@ -64,15 +202,28 @@ export class CanvasVisualization {
     }
 
     /**
-     * Draw the fairness line (x = y)
+     * Draw the fairness line from the origin through the optimum; in the
+     * projection the horizontal line at the optimum's Jain index
+     * @param {Object} optimum - { x, y } point the line passes through
+     * @param {string} color - Stroke color
      */
-    drawFairnessLine() {
-        const start = this.rateToPixel(0, 0);
-        const end = this.rateToPixel(1, 1);
+    drawFairnessLine(optimum = this.optimumPoint(), color = '#EF4444') {
+        let start;
+        let end;
+        if (this.view.mode === 'projection') {
+            start = this.rateToPixel(0, optimum.y);
+            end = this.rateToPixel(this.axisLimits().x, optimum.y);
+        } else {
+            const reach = this.scale / (Math.max(optimum.x, optimum.y) || 1);
+            start = this.rateToPixel(0, 0);
+            end = optimum.x > 0 || optimum.y > 0
+                ? this.rateToPixel(optimum.x * reach, optimum.y * reach)
+                : this.rateToPixel(this.scale, this.scale);
+        }
 
         this.ctx.beginPath();
         this.ctx.setLineDash([5, 5]);
-        this.ctx.strokeStyle = '#EF4444'; // Red
+        this.ctx.strokeStyle = color; // Red unless overlaid
         this.ctx.lineWidth = 2;
         this.ctx.moveTo(start.x, start.y);
         this.ctx.lineTo(end.x, end.y);
@@ -81,10 +232,11 @@ export class CanvasVisualization {
     }
 
     /**
-     * Draw the optimum point (0.5, 0.5)
+     * Draw the optimum point (the capacity shared in proportion to the weights)
      */
     drawOptimumPoint() {
-        const point = this.rateToPixel(0.5, 0.5);
+        const optimum = this.optimumPoint();
+        const point = this.rateToPixel(optimum.x, optimum.y);
 
         // Glow effect
         const gradient = this.ctx.createRadialGradient(
@@ -113,12 +265,45 @@ export class CanvasVisualization {
         this.ctx.stroke();
     }
 
+    /**
+     * Draw the equal-share point as a hollow marker
+     */
+    drawEqualSharePoint() {
+        const equal = this.equalSharePoint();
+        const point = this.rateToPixel(equal.x, equal.y);
+
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = '#94A3B8'; // Slate
+        this.ctx.lineWidth = 2;
+        this.ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw the axes along the left and bottom edge; on the page they are the
+     * diagram's borders, so this is only needed for exported figures
+     */
+    drawAxes() {
+        this.ctx.beginPath();
+        this.ctx.setLineDash([]);
+        this.ctx.strokeStyle = '#111827';
+        this.ctx.lineWidth = 2;
+        this.ctx.moveTo(1, 0);
+        this.ctx.lineTo(1, this.height - 1);
+        this.ctx.lineTo(this.width, this.height - 1);
+        this.ctx.stroke();
+    }
+
     /**
      * Initialize the canvas with base elements
      */
     init() {
         this.clear();
         this.drawEfficiencyLine();
+        if (this.showEqualShare && this.isWeighted()) {
+            this.drawFairnessLine(this.equalSharePoint(), '#94A3B8');
+            this.drawEqualSharePoint();
+        }
         this.drawFairnessLine();
         this.drawOptimumPoint();
     }
@@ -207,38 +392,196 @@ export class CanvasVisualization {
         this.ctx.stroke();
     }
 
+    /**
+     * Draw a drop marker: a red cross at the rates the senders had while the link dropped traffic
+     */
+    drawDropMarker(x, y) {
+        if (!this.showDrops) return;
+        const pixel = this.rateToPixel(x, y);
+        const size = 5;
+
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = '#DC2626';
+        this.ctx.lineWidth = 2;
+        this.ctx.moveTo(pixel.x - size, pixel.y - size);
+        this.ctx.lineTo(pixel.x + size, pixel.y + size);
+        this.ctx.moveTo(pixel.x + size, pixel.y - size);
+        this.ctx.lineTo(pixel.x - size, pixel.y + size);
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw a plain polyline through rate points (no markers)
+     * @param {Array} points - [{ x, y }] rates
+     */
+    drawPath(points, color, lineWidth = 1) {
+        if (points.length < 2) return;
+
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = lineWidth;
+        points.forEach((point, i) => {
+            const pixel = this.rateToPixel(point.x, point.y);
+            if (i === 0) {
+                this.ctx.moveTo(pixel.x, pixel.y);
+            } else {
+                this.ctx.lineTo(pixel.x, pixel.y);
+            }
+        });
+        this.ctx.stroke();
+    }
+
+    /**
+     * Draw an arrow between two rate points, its length capped at maxLength pixels
+     */
+    drawArrow(from, to, color, maxLength = 30) {
+        const start = this.rateToPixel(from.x, from.y);
+        const end = this.rateToPixel(to.x, to.y);
+        let dx = end.x - start.x;
+        let dy = end.y - start.y;
+        const length = Math.hypot(dx, dy);
+        if (length < 0.5) return;
+        if (length > maxLength) {
+            dx *= maxLength / length;
+            dy *= maxLength / length;
+        }
+
+        const tip = { x: start.x + dx, y: start.y + dy };
+        const angle = Math.atan2(dy, dx);
+        const head = Math.min(6, Math.hypot(dx, dy) / 2);
+
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = color;
+        this.ctx.fillStyle = color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.moveTo(start.x, start.y);
+        this.ctx.lineTo(tip.x, tip.y);
+        this.ctx.stroke();
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(tip.x, tip.y);
+        this.ctx.lineTo(tip.x - head * Math.cos(angle - Math.PI / 6), tip.y - head * Math.sin(angle - Math.PI / 6));
+        this.ctx.lineTo(tip.x - head * Math.cos(angle + Math.PI / 6), tip.y - head * Math.sin(angle + Math.PI / 6));
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
+    /**
+     * Color of a start point by convergence: green (fast) to amber (slow), red if it never converged
+     */
+    convergenceColor(convergedAt, duration) {
+        if (convergedAt === null || convergedAt === undefined) return '#EF4444';
+        const t = Math.min(1, convergedAt / Math.max(1, duration));
+        const hue = 140 - 95 * t; // 140 = green, 45 = amber
+        return `hsl(${hue}, 75%, 45%)`;
+    }
+
+    /**
+     * Draw a phase portrait: every trajectory, or the first-round displacement
+     * as arrows, with each start point coloured by how fast it converged
+     * @param {Array} runs - Result of runPhasePortrait()
+     * @param {Object} options - { mode: 'trajectories' | 'arrows', duration }
+     */
+    drawPhasePortrait(runs, options = {}) {
+        this.init();
+        const mode = options.mode || 'trajectories';
+        const duration = options.duration || 1;
+        const spacing = this.width / Math.max(1, Math.sqrt(runs.length));
+
+        runs.forEach(run => {
+            const color = this.convergenceColor(run.metrics?.convergedAt, duration);
+            const points = run.trajectory.map(point => this.project(point.rates));
+            if (mode === 'arrows') {
+                this.drawArrow(points[0], points[Math.min(run.round, points.length - 1)], color, spacing * 0.45);
+            } else {
+                this.drawPath(points, 'rgba(37, 99, 235, 0.35)');
+            }
+        });
+
+        runs.forEach(run => {
+            const start = this.project(run.trajectory[0].rates);
+            const pixel = this.rateToPixel(start.x, start.y);
+            this.ctx.beginPath();
+            this.ctx.fillStyle = this.convergenceColor(run.metrics?.convergedAt, duration);
+            this.ctx.arc(pixel.x, pixel.y, 4, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+
+    /**
+     * Draw a stored run in its own color: path, start ring and end dot
+     * @param {Array} trajectory - Recorded points with rates
+     */
+    drawOverlay(trajectory, color) {
+        if (trajectory.length === 0) return;
+        const points = trajectory.map(point => this.project(point.rates));
+        this.drawPath(points, color, 2);
+
+        const start = this.rateToPixel(points[0].x, points[0].y);
+        this.ctx.beginPath();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.arc(start.x, start.y, 6, 0, Math.PI * 2);
+        this.ctx.stroke();
+
+        const last = points[points.length - 1];
+        const end = this.rateToPixel(last.x, last.y);
+        this.ctx.beginPath();
+        this.ctx.fillStyle = color;
+        this.ctx.arc(end.x, end.y, 4, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
     /**
      * Redraw the entire trajectory
+     * @param {Array} trajectory - Points of the current run, drawn on top
+     * @param {Array} overlays - Stored runs drawn underneath: [{ trajectory, color }]
      */
-    redrawTrajectory(trajectory) {
+    redrawTrajectory(trajectory, overlays = []) {
         this.init();
+        overlays.forEach(run => this.drawOverlay(run.trajectory, run.color));
 
         if (trajectory.length === 0) return;
 
+        const points = trajectory.map(point => this.project(point.rates));
+
         // Draw start point
-        this.drawStartPoint(trajectory[0].x, trajectory[0].y);
+        this.drawStartPoint(points[0].x, points[0].y);
 
         // Draw all segments
-        for (let i = 1; i < trajectory.length; i++) {
-            const prev = trajectory[i - 1];
-            const curr = trajectory[i];
-            const progress = i / trajectory.length;
-            this.drawSegment(
-                { x: prev.x, y: prev.y },
-                { x: curr.x, y: curr.y },
-                progress
-            );
+        for (let i = 1; i < points.length; i++) {
+            const progress = i / points.length;
+            this.drawSegment(points[i - 1], points[i], progress);
+        }
+
+        // Drops of a step happened at the rates the step started from
+        for (let i = 1; i < points.length; i++) {
+            if (trajectory[i].dropped > 0) {
+                this.drawDropMarker(points[i - 1].x, points[i - 1].y);
+            }
         }
 
         // Draw current position
-        const last = trajectory[trajectory.length - 1];
+        const last = points[points.length - 1];
         this.drawCurrentPoint(last.x, last.y);
     }
 }
 
+/**
+ * Series the timeline can plot, keyed by the name used in addDataPoint()
+ */
+export const TIMELINE_SERIES = {
+    user1: { label: 'User 1 (Y)', color: '#EF4444', dash: [] },
+    user2: { label: 'User 2 (X)', color: '#22C55E', dash: [6, 3] },
+    distance: { label: 'Distance', color: '#3B82F6', dash: [2, 3] },
+    fairness: { label: 'Jain index', color: '#A855F7', dash: [8, 3, 2, 3] },
+    utilization: { label: 'Utilization', color: '#F59E0B', dash: [12, 4] },
+    queue: { label: 'Queue', color: '#0D9488', dash: [4, 2, 4, 6] }
+};
+
 /**
  * Timeline Visualization
- * Shows rate over time for both users
+ * Shows rates and metrics over time
  */
 export class TimelineVisualization {
     constructor(canvasElement) {
@@ -251,27 +594,74 @@ export class TimelineVisualization {
         this.canvas.width = this.width;
         this.canvas.height = this.height;
 
-        this.data = {
-            user1: [],  // Y-axis user rates
-            user2: [],  // X-axis user rates
-            distance: [] // Distance from optimum
-        };
+        this.series = ['user1', 'user2', 'distance']; // Series that are drawn
+        this.data = this.emptyData();
+        this.overlays = []; // Stored runs: [{ color, data }], drawn in the run's color
+        this.labels = {}; // Legend labels that replace those of TIMELINE_SERIES
+    }
+
+    emptyData() {
+        const data = {};
+        Object.keys(TIMELINE_SERIES).forEach(key => { data[key] = []; });
+        return data;
+    }
+
+    /**
+     * Choose which series are drawn
+     * @param {string[]} keys - Keys of TIMELINE_SERIES
+     */
+    setSeries(keys) {
+        this.series = keys.filter(key => key in TIMELINE_SERIES);
+    }
+
+    /**
+     * Rename series in the legend, e.g. the user series after the diagram view changed
+     * @param {Object} labels - Key of TIMELINE_SERIES -> label
+     */
+    setLabels(labels) {
+        this.labels = { ...labels };
     }
 
     clear() {
         this.ctx.clearRect(0, 0, this.width, this.height);
-        this.data = { user1: [], user2: [], distance: [] };
+        this.data = this.emptyData();
     }
 
-    addDataPoint(step, user1Rate, user2Rate, distance) {
-        this.data.user1.push({ step, value: user1Rate });
-        this.data.user2.push({ step, value: user2Rate });
-        this.data.distance.push({ step, value: distance });
+    /**
+     * Show stored runs behind the current one; each series keeps its dash pattern
+     * @param {Array} overlays - [{ color, data }] with data shaped like emptyData()
+     */
+    setOverlays(overlays) {
+        this.overlays = overlays;
     }
 
-    drawAxes() {
+    /**
+     * Record the values of one update
+     * @param {number} time - Simulation time of the update
+     * @param {Object} values - { user1, user2, distance, fairness, utilization, queue }
+     * @param {Object} data - Series to add to, the current run's by default
+     */
+    addDataPoint(time, values, data = this.data) {
+        for (const [key, value] of Object.entries(values)) {
+            data[key]?.push({ time, value });
+        }
+    }
+
+    /**
+     * Top of the value axis: 1, or more if a drawn series exceeds it
+     */
+    valueRange() {
+        let max = 1;
+        [this.data, ...this.overlays.map(overlay => overlay.data)].forEach(data => {
+            this.series.forEach(key => {
+                data[key].forEach(point => { max = Math.max(max, point.value); });
+            });
+        });
+        return max;
+    }
+
+    drawAxes(maxValue = 1, maxTime = null) {
         const { top, right, bottom, left } = this.padding;
-        const chartWidth = this.width - left - right;
         const chartHeight = this.height - top - bottom;
 
         this.ctx.strokeStyle = '#475569';
@@ -293,16 +683,22 @@ export class TimelineVisualization {
         this.ctx.fillStyle = '#94A3B8';
         this.ctx.font = '10px Inter, sans-serif';
         this.ctx.textAlign = 'right';
-        this.ctx.fillText('1.0', left - 5, top + 5);
-        this.ctx.fillText('0.5', left - 5, top + chartHeight / 2);
+        this.ctx.fillText(maxValue.toFixed(1), left - 5, top + 5);
+        this.ctx.fillText((maxValue / 2).toFixed(2), left - 5, top + chartHeight / 2);
         this.ctx.fillText('0.0', left - 5, this.height - bottom);
 
-        // X-axis label
+        // X-axis label and range
         this.ctx.textAlign = 'center';
         this.ctx.fillText('Time', this.width / 2, this.height - 5);
+        if (maxTime !== null) {
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText('0', left, this.height - bottom + 12);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(String(maxTime), this.width - right, this.height - bottom + 12);
+        }
     }
 
-    drawLine(data, color, maxSteps) {
+    drawLine(data, color, maxTime, maxValue = 1, dash = []) {
         if (data.length < 2) return;
 
         const { top, right, bottom, left } = this.padding;
@@ -312,10 +708,11 @@ export class TimelineVisualization {
         this.ctx.beginPath();
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = 2;
+        this.ctx.setLineDash(dash);
 
         for (let i = 0; i < data.length; i++) {
-            const x = left + (data[i].step / maxSteps) * chartWidth;
-            const y = this.height - bottom - data[i].value * chartHeight;
+            const x = left + (data[i].time / maxTime) * chartWidth;
+            const y = this.height - bottom - (data[i].value / maxValue) * chartHeight;
 
             if (i === 0) {
                 this.ctx.moveTo(x, y);
@@ -325,44 +722,192 @@ export class TimelineVisualization {
         }
 
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
     }
 
-    render(maxSteps = 50) {
+    /**
+     * Draw every selected series over the time from 0 to maxTime
+     */
+    render(maxTime = 50) {
         this.ctx.clearRect(0, 0, this.width, this.height);
 
         // Background
         this.ctx.fillStyle = '#1e293b';
         this.ctx.fillRect(0, 0, this.width, this.height);
 
-        this.drawAxes();
-        this.drawLine(this.data.user1, '#EF4444', maxSteps); // Red for User 1
-        this.drawLine(this.data.user2, '#22C55E', maxSteps); // Green for User 2
-        this.drawLine(this.data.distance, '#3B82F6', maxSteps); // Blue for distance
+        const maxValue = this.valueRange();
+        this.drawAxes(maxValue, maxTime);
+        this.overlays.forEach(overlay => {
+            this.series.forEach(key => {
+                this.drawLine(overlay.data[key], overlay.color, maxTime, maxValue, TIMELINE_SERIES[key].dash);
+            });
+        });
+        this.series.forEach(key => {
+            this.drawLine(this.data[key], TIMELINE_SERIES[key].color, maxTime, maxValue);
+        });
     }
 
     drawLegend() {
-        const legends = [
-            { color: '#EF4444', label: 'User 1 (Y)' },
-            { color: '#22C55E', label: 'User 2 (X)' },
-            { color: '#3B82F6', label: 'Distance' }
-        ];
-
-        let x = this.width - this.padding.right - 150;
+        const x = this.padding.left + 10;
         const y = this.padding.top;
 
         this.ctx.font = '11px Inter, sans-serif';
 
-        legends.forEach((legend, i) => {
-            const lx = x + i * 70;
-
-            // Color box
-            this.ctx.fillStyle = legend.color;
-            this.ctx.fillRect(lx, y, 12, 12);
+        this.series.forEach((key, i) => {
+            const lx = x + i * 90;
+
+            if (this.overlays.length > 0) {
+                // Stored runs are told apart by color, series by dash pattern
+                this.ctx.beginPath();
+                this.ctx.strokeStyle = '#CBD5E1';
+                this.ctx.lineWidth = 2;
+                this.ctx.setLineDash(TIMELINE_SERIES[key].dash);
+                this.ctx.moveTo(lx, y + 6);
+                this.ctx.lineTo(lx + 12, y + 6);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
+            } else {
+                // Color box
+                this.ctx.fillStyle = TIMELINE_SERIES[key].color;
+                this.ctx.fillRect(lx, y, 12, 12);
+            }
 
             // Label
             this.ctx.fillStyle = '#CBD5E1';
             this.ctx.textAlign = 'left';
-            this.ctx.fillText(legend.label, lx + 16, y + 10);
+            this.ctx.fillText(this.labels[key] ?? TIMELINE_SERIES[key].label, lx + 16, y + 10);
         });
     }
 }
+
+/**
+ * Heatmap Visualization
+ * Shows the outcome of a parameter sweep, one cell per grid point
+ */
+export class HeatmapVisualization {
+    constructor(canvasElement) {
+        this.canvas = canvasElement;
+        this.ctx = this.canvas.getContext('2d');
+        this.width = 500;
+        this.height = 320;
+        this.padding = { top: 10, right: 10, bottom: 40, left: 56 };
+        this.rows = 0;
+        this.columns = 0;
+
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+    }
+
+    /**
+     * Color for a normalized value: 0 = worst (dark purple), 1 = best (yellow)
+     */
+    colorFor(t) {
+        const stops = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+        const pos = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+        const i = Math.min(stops.length - 2, Math.floor(pos));
+        const f = pos - i;
+        const [r, g, b] = stops[i].map((c, k) => Math.round(c + (stops[i + 1][k] - c) * f));
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
+    /**
+     * Draw a sweep
+     * @param {Object} sweep - Result of runSweep()
+     * @param {number[][]} values - Outcome per cell (see sweepOutcome); NaN cells are grey
+     * @param {Object} options - { lowerIsBetter, selected: { row, column } }
+     */
+    render(sweep, values, options = {}) {
+        const { top, right, bottom, left } = this.padding;
+        const chartWidth = this.width - left - right;
+        const chartHeight = this.height - top - bottom;
+        this.rows = values.length;
+        this.columns = values[0]?.length || 0;
+
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        if (this.columns === 0) return;
+
+        const finite = values.flat().filter(v => Number.isFinite(v));
+        const min = finite.length ? Math.min(...finite) : 0;
+        const max = finite.length ? Math.max(...finite) : 0;
+        const cellWidth = chartWidth / this.columns;
+        const cellHeight = chartHeight / this.rows;
+
+        values.forEach((row, r) => {
+            row.forEach((value, c) => {
+                let t = max > min ? (value - min) / (max - min) : 1;
+                if (options.lowerIsBetter) t = 1 - t;
+                this.ctx.fillStyle = Number.isFinite(value) ? this.colorFor(t) : '#64748B';
+
+                // First row at the bottom, like the diagram's y axis
+                const x = left + c * cellWidth;
+                const y = top + chartHeight - (r + 1) * cellHeight;
+                this.ctx.fillRect(x, y, Math.ceil(cellWidth), Math.ceil(cellHeight));
+            });
+        });
+
+        const selected = options.selected;
+        if (selected) {
+            this.ctx.strokeStyle = '#FFFFFF';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(
+                left + selected.column * cellWidth + 1,
+                top + chartHeight - (selected.row + 1) * cellHeight + 1,
+                cellWidth - 2, cellHeight - 2
+            );
+        }
+
+        this.drawAxes(sweep.axes, min, max);
+    }
+
+    drawAxes(axes, min, max) {
+        const { top, bottom, left, right } = this.padding;
+        const [xAxis, yAxis] = axes;
+        const format = (v) => Number(v.toPrecision(3)).toString();
+
+        this.ctx.fillStyle = '#94A3B8';
+        this.ctx.font = '10px Inter, sans-serif';
+
+        // X-axis: first and last value, parameter name in between
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(format(xAxis.values[0]), left, this.height - bottom + 14);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(format(xAxis.values[xAxis.values.length - 1]), this.width - right, this.height - bottom + 14);
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(xAxis.label || xAxis.name, left + (this.width - left - right) / 2, this.height - bottom + 14);
+
+        if (yAxis) {
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(format(yAxis.values[0]), left - 5, this.height - bottom);
+            this.ctx.fillText(format(yAxis.values[yAxis.values.length - 1]), left - 5, top + 10);
+
+            this.ctx.save();
+            this.ctx.translate(12, top + (this.height - top - bottom) / 2);
+            this.ctx.rotate(-Math.PI / 2);
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(yAxis.label || yAxis.name, 0, 0);
+            this.ctx.restore();
+        }
+
+        // Value range
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`min ${format(min)}  max ${format(max)}`, left, this.height - 6);
+    }
+
+    /**
+     * Grid cell under a canvas pixel
+     * @returns {Object|null} - { row, column } or null outside the grid
+     */
+    cellAt(pixelX, pixelY) {
+        const { top, right, bottom, left } = this.padding;
+        const chartWidth = this.width - left - right;
+        const chartHeight = this.height - top - bottom;
+        if (this.columns === 0 || pixelX < left || pixelX >= left + chartWidth ||
+            pixelY < top || pixelY >= top + chartHeight) {
+            return null;
+        }
+
+        const column = Math.floor((pixelX - left) / (chartWidth / this.columns));
+        const row = this.rows - 1 - Math.floor((pixelY - top) / (chartHeight / this.rows));
+        return { row, column };
+    }
+}
@@ -0,0 +1,33 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeExperiment, encodeExperiment, normalizeExperiment } from '../js/experiment.js';
+
+const SENDERS = [{ script: { name: 'aimd.cav' } }, { script: { name: 'aiad.cav' } }];
+
+describe('Experiments', () => {
+    test('extra flows default to following User 2', () => {
+        const experiment = normalizeExperiment({ flows: 3, senders: SENDERS });
+        assert.deepEqual(experiment.extraFlows, []);
+    });
+
+    test('extra flows keep their own settings through a link', () => {
+        const experiment = normalizeExperiment({
+            flows: 4,
+            senders: SENDERS,
+            extraFlows: [
+                { script: { name: 'mine.cav', source: 'rate = rate;' }, rtt: 2, start: 0.3, weight: 2, delay: 1 },
+                { script: null }
+            ]
+        });
+        const decoded = decodeExperiment(`#experiment=${encodeExperiment(experiment)}`);
+
+        assert.deepEqual(decoded.extraFlows, [
+            { script: { name: 'mine.cav', source: 'rate = rate;' }, rtt: 2, start: 0.3, weight: 2, delay: 1 },
+            { script: null, rtt: null, start: null, weight: null, delay: null }
+        ]);
+    });
+
+    test('rejects an extra flow with an invalid RTT', () => {
+        assert.throws(() => normalizeExperiment({ senders: SENDERS, extraFlows: [{ rtt: 0 }] }), /RTT/);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Golden-file tests. Every test/golden/*.json names the scripts to run
+ * (from scripts/, sender 0 first), a start point and settings, and holds the
+ * trajectory of that run when the file was written. The run must reproduce
+ * it within the file's tolerance.
+ *
+ * After an intended change in behavior, write the new trajectories with
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { SimulationEngine } from '../js/simulation.js';
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const SCRIPT_DIR = new URL('../scripts/', import.meta.url);
+const DEFAULT_TOLERANCE = 1e-9;
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+/**
+ * Run a golden case
+ * @param {Object} golden - { scripts, start, settings: { steps, rtt, weights, capacity, buffer,
+ *                          jitter, feedback, params } }; the feedback seed defaults to 1
+ * @returns {Object} - { trajectory: [{ step, time, rates, queue }], errors }
+ */
+function runCase({ scripts, start, settings = {} }) {
+    const engine = new SimulationEngine(scripts.length);
+    scripts.forEach((name, i) => engine.setScript(i, readFileSync(new URL(name, SCRIPT_DIR), 'utf8')));
+    if (settings.steps !== undefined) engine.setDuration(settings.steps);
+    if (settings.capacity !== undefined) engine.setCapacity(settings.capacity);
+    if (settings.buffer !== undefined) engine.setBufferSize(settings.buffer);
+    if (settings.jitter !== undefined) engine.setRTTJitter(settings.jitter);
+    (settings.rtt || []).forEach((rtt, i) => engine.setRTT(i, rtt));
+    (settings.weights || []).forEach((weight, i) => engine.setWeight(i, weight));
+    engine.setFeedback({ seed: 1, ...settings.feedback });
+    engine.setStartRates(start);
+
+    const { trajectory, errors } = engine.runHeadless(settings.params || {});
+    return {
+        trajectory: trajectory.map(({ step, time, rates, queue }) => ({ step, time, rates, queue })),
+        errors
+    };
+}
+
+/**
+ * A golden file with one field, and one trajectory point, per line
+ */
+function formatGolden({ trajectory, ...golden }) {
+    const fields = Object.entries(golden).map(([key, value]) => `    ${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+    const points = trajectory.map(point => `        ${JSON.stringify(point)}`);
+    return `{\n${fields.join(',\n')},\n    "trajectory": [\n${points.join(',\n')}\n    ]\n}\n`;
+}
+
+function assertClose(actual, expected, tolerance, what) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${what} is ${actual}, expected ${expected}`);
+}
+
+const files = readdirSync(GOLDEN_DIR).filter(name => name.endsWith('.json')).sort();
+
+describe('Golden trajectories', () => {
+    for (const file of files) {
+        test(file, () => {
+            const url = new URL(file, GOLDEN_DIR);
+            const golden = JSON.parse(readFileSync(url, 'utf8'));
+            const { trajectory, errors } = runCase(golden);
+            assert.deepEqual(errors, []);
+
+            if (UPDATE) {
+                writeFileSync(url, formatGolden({ ...golden, trajectory }));
+                return;
+            }
+
+            const tolerance = golden.tolerance ?? DEFAULT_TOLERANCE;
+            assert.equal(trajectory.length, golden.trajectory.length, 'number of trajectory points');
+            golden.trajectory.forEach((expected, i) => {
+                const point = trajectory[i];
+                assert.equal(point.step, expected.step, `step of point ${i}`);
+                assertClose(point.time, expected.time, tolerance, `time at step ${expected.step}`);
+                assertClose(point.queue, expected.queue, tolerance, `queue at step ${expected.step}`);
+                assert.equal(point.rates.length, expected.rates.length, `number of rates at step ${expected.step}`);
+                expected.rates.forEach((rate, j) => {
+                    assertClose(point.rates[j], rate, tolerance, `rate ${j} at step ${expected.step}`);
+                });
+            });
+        });
+    }
+});
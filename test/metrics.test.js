@@ -0,0 +1,20 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeMetrics } from '../js/metrics.js';
+
+describe('summarizeMetrics', () => {
+    test('summarizes a run of a few hundred thousand points', () => {
+        // Load alternates between 0.9 and 1.1, far from the fair share
+        const trajectory = Array.from({ length: 400000 }, (_, step) => {
+            const utilization = step % 2 ? 1.1 : 0.9;
+            return { step, time: step, traffic: utilization, capacity: 1, utilization, distance: 0.5, fairness: 0.8 };
+        });
+
+        const metrics = summarizeMetrics(trajectory);
+
+        assert.equal(metrics.steps, 399999);
+        assert.equal(metrics.convergedAt, null);
+        assert.ok(Math.abs(metrics.meanUtilization - 1) < 1e-9);
+        assert.ok(Math.abs(metrics.oscillation - 0.1) < 1e-9);
+    });
+});
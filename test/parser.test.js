@@ -0,0 +1,242 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScriptParser, parseDirective, scriptMetadata } from '../js/parser.js';
+import { ErrorCode } from '../js/errors.js';
+
+/**
+ * Evaluate a script once
+ * @returns {Object} - { rate, errors, variables }
+ */
+function run(source, context = {}, options = {}) {
+    const parser = new ScriptParser(source);
+    const result = parser.parse({ rate: 1, traffic: 0, ...context }, options);
+    return { ...result, variables: parser.variables };
+}
+
+/**
+ * Value of a single expression
+ */
+function value(expression) {
+    const { variables, errors } = run(`x = ${expression};`);
+    assert.deepEqual(errors, []);
+    return variables.x;
+}
+
+describe('ScriptParser expressions', () => {
+    test('follows the usual operator precedence', () => {
+        assert.equal(value('1 + 2 * 3 - 4 / 2'), 5);
+        assert.equal(value('(1 + 2) * 3'), 9);
+        assert.equal(value('-2 * 3'), -6);
+        assert.equal(value('- -2'), 2);
+        assert.equal(value('7 % 3'), 1);
+        assert.equal(value('10 - 4 - 3'), 3);
+    });
+
+    test('comparisons give 1 or 0 and bind tighter than equality', () => {
+        assert.equal(value('2 < 3'), 1);
+        assert.equal(value('3 <= 2'), 0);
+        assert.equal(value('2 < 3 == 1'), 1);
+    });
+
+    test('== and != compare floats exactly', () => {
+        assert.equal(value('0.1 + 0.2 == 0.3'), 0);
+        assert.equal(value('0.1 + 0.2 != 0.3'), 1);
+        assert.equal(value('0.5 + 0.25 == 0.75'), 1);
+    });
+
+    test('logical operators treat values above 0 as true', () => {
+        assert.equal(value('2 && 0.5'), 1);
+        assert.equal(value('-1 || 0'), 0);
+        assert.equal(value('-1 || 0.001'), 1);
+        assert.equal(value('1 && -3'), 0);
+    });
+
+    test('logical operators evaluate both sides', () => {
+        const { errors } = run('x = 0 && 1 / 0;');
+        assert.deepEqual(errors.map(e => e.code), [ErrorCode.DIVISION_BY_ZERO]);
+    });
+
+    test('int() rounds to the nearest integer', () => {
+        assert.equal(value('int(2.4)'), 2);
+        assert.equal(value('int(2.5)'), 3);
+        assert.equal(value('int(-2.5)'), -2);
+        assert.equal(value('int(-2.6)'), -3);
+    });
+
+    test('built-in functions and constants ignore case', () => {
+        assert.equal(value('MIN(3, 2) + Max(3, 2)'), 5);
+        assert.equal(value('pow(2, 10)'), 1024);
+        assert.equal(value('abs(-1.5) + sqrt(16)'), 5.5);
+        assert.equal(value('Pi'), Math.PI);
+        assert.equal(value('E'), Math.E);
+    });
+
+    test('random() draws from the given generator', () => {
+        const { variables } = run('x = random();', {}, { random: () => 0.25 });
+        assert.equal(variables.x, 0.25);
+    });
+});
+
+describe('ScriptParser statements', () => {
+    const branch = (condition) => run(`if (${condition}) { x = 1; } else { x = 2; }`).variables.x;
+
+    test('if takes a condition as true only when it is above 0', () => {
+        assert.equal(branch('1'), 1);
+        assert.equal(branch('0.001'), 1);
+        assert.equal(branch('0'), 2);
+        assert.equal(branch('-1'), 2);
+        assert.equal(branch('-0.5'), 2);
+    });
+
+    test('while loops as long as its condition is above 0', () => {
+        assert.equal(run('i = 3; n = 0; while (i) { i = i - 1; n = n + 1; }').variables.n, 3);
+        assert.equal(run('i = -2; n = 0; while (i) { i = i - 1; n = n + 1; }').variables.n, 0);
+    });
+
+    test('for runs its init, test and update', () => {
+        assert.equal(run('s = 0; for (i = 1; i <= 4; i = i + 1) { s = s + i; }').variables.s, 10);
+    });
+
+    test('the new rate is the value assigned to rate', () => {
+        assert.equal(run('rate = rate * 0.5;', { rate: 0.8 }).rate, 0.4);
+        assert.equal(run('x = 1;', { rate: 0.8 }).rate, 0.8);
+    });
+
+    test('parameters take their default unless a value is passed in', () => {
+        const source = '#define_param a range 0 to 1 default 0.3\nrate = a;';
+        assert.equal(run(source).rate, 0.3);
+        assert.equal(run(source, {}, { params: { a: 0.7 } }).rate, 0.7);
+        assert.equal(run(source, { a: 0.7 }).rate, 0.3);
+    });
+
+    test('values passed in keep to the type of their parameter', () => {
+        const source = '#define_param n range 1 to 10 integer\n#define_param on boolean\n#define_param m choice a, b\nx = n; y = on; z = m;';
+        const { variables } = run(source, {}, { params: { n: 3.6, on: 0.4, m: 5 } });
+        assert.deepEqual([variables.x, variables.y, variables.z], [4, 1, 1]);
+    });
+
+    test('#define_var variables keep their value between evaluations', () => {
+        const parser = new ScriptParser('#define_var n 0\nn = n + 1;\nrate = n;');
+        parser.parse({ rate: 0 });
+        assert.equal(parser.parse({ rate: 0 }).rate, 2);
+
+        parser.resetStaticVars();
+        assert.equal(parser.parse({ rate: 0 }).rate, 1);
+    });
+
+    test('functions have local variables and read globals', () => {
+        const { variables } = run([
+            'g = 5;',
+            'function scale(v) { t = v * g; return t; }',
+            'function fact(n) { if (n <= 1) { return 1; } return n * fact(n - 1); }',
+            'x = scale(2);',
+            'y = fact(5);'
+        ].join('\n'));
+        assert.equal(variables.x, 10);
+        assert.equal(variables.y, 120);
+        assert.equal(variables.t, undefined);
+    });
+});
+
+describe('parseDirective', () => {
+    test('reads the range, default and step of a parameter in any order', () => {
+        assert.deepEqual(parseDirective('#define_param beta range 0.1 to 0.9 step 0.05 default 0.5').param,
+            { name: 'beta', type: 'number', min: 0.1, max: 0.9, default: 0.5, step: 0.05, log: false, description: '', isStatic: false });
+        assert.equal(parseDirective('#define_param beta range 0 to 1 default 0.5 step 0.25').param.step, 0.25);
+    });
+
+    test('derives the step from the range without a step clause', () => {
+        const step = (range) => parseDirective(`#define_param a range ${range}`).param.step;
+        assert.equal(step('0.1 to 1'), 0.01);
+        assert.equal(step('0.01 to 0.5'), 0.005);
+        assert.equal(step('1 to 10'), 0.1);
+        assert.equal(step('0 to 300'), 2);
+        assert.equal(step('2 to 2'), 1);
+        assert.equal(step('0 to 300 integer'), 2);
+        assert.equal(step('1 to 10 integer'), 1);
+    });
+
+    test('reads integer, log, boolean and choice parameters with their descriptions', () => {
+        const param = (text) => parseDirective(`#define_param ${text}`).param;
+        assert.equal(param('n range 1 to 10 default 4 integer').type, 'integer');
+        assert.equal(param('g range 0.01 to 10 log "Gain"').log, true);
+        assert.equal(param('g range 0.01 to 10 log "Gain"').description, 'Gain');
+        assert.deepEqual(param('fast boolean default on'), {
+            name: 'fast', type: 'boolean', min: 0, max: 1, default: 1, step: 1, log: false, description: '', isStatic: false
+        });
+        const mode = param('mode choice reno, cubic, vegas default cubic "Variant"');
+        assert.deepEqual([mode.choices, mode.min, mode.max, mode.default, mode.description],
+            [['reno', 'cubic', 'vegas'], 0, 2, 1, 'Variant']);
+    });
+
+    test('reads #name and #description lines as the script metadata', () => {
+        assert.deepEqual(scriptMetadata('#name AIMD\n#description Additive increase,\n#description multiplicative decrease\nrate = 1;'),
+            { name: 'AIMD', description: 'Additive increase, multiplicative decrease' });
+        assert.deepEqual(scriptMetadata('# name AIMD\nrate = 1;'), { name: '', description: '' });
+    });
+});
+
+describe('ScriptParser errors', () => {
+    test('runtime errors have a code and the span of the expression', () => {
+        const { errors } = run('z = 0;\nrate = rate + 1 / z;');
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].code, ErrorCode.DIVISION_BY_ZERO);
+        assert.deepEqual(errors[0].span, { start: 21, end: 26, line: 2, column: 15, endLine: 2, endColumn: 20 });
+        assert.equal(String(errors[0]), 'Division by zero at line 2, column 15');
+    });
+
+    test('undefined variables and unknown functions are reported where they are used', () => {
+        assert.deepEqual(run('x = 1 + y;').errors.map(e => [e.code, e.span.column]), [[ErrorCode.UNDEFINED_VARIABLE, 9]]);
+        assert.deepEqual(run('x = foo(1);').errors.map(e => [e.code, e.span.column]), [[ErrorCode.UNKNOWN_FUNCTION, 5]]);
+    });
+
+    test('endless loops stop at the iteration limit', () => {
+        const { errors } = run('while (1) { x = 1; }');
+        assert.deepEqual(errors.map(e => e.code), [ErrorCode.ITERATION_LIMIT]);
+    });
+
+    test('exponential recursion stops at the iteration limit', () => {
+        const source = 'function f(n) { if (n < 1) { return 1; } return f(n - 1) + f(n - 1); }\nrate = f(40);';
+        const began = Date.now();
+        const { errors } = run(source);
+        assert.deepEqual(errors.map(e => e.code), [ErrorCode.ITERATION_LIMIT]);
+        assert.ok(Date.now() - began < 1000);
+    });
+
+    test('compiling goes on after a syntax error to report the others', () => {
+        // The missing ';' swallows the next statement, up to its ';'
+        const parser = new ScriptParser('x = 1\ny = 2;\ntraffic = 2;\nif (x > ) { z = 1; }\nrate = 2;');
+        assert.equal(parser.compile(), null);
+        assert.deepEqual(parser.compileErrors.map(e => [e.code, e.span.line]), [
+            [ErrorCode.EXPECTED_TOKEN, 1],
+            [ErrorCode.INVALID_ASSIGNMENT, 3],
+            [ErrorCode.UNEXPECTED_TOKEN, 4]
+        ]);
+    });
+
+    test('parameters and variables cannot take a reserved name', () => {
+        const source = '#define_param rate range 0 to 1\n#define_var Loss 0\n#define_param PI boolean\nx = 1;';
+        const parser = new ScriptParser(source);
+        assert.equal(parser.compile(), null);
+        assert.deepEqual(parser.compileErrors.map(e => [e.code, e.span.line, e.message]), [
+            [ErrorCode.INVALID_ASSIGNMENT, 1, "'rate' is reserved and cannot be defined"],
+            [ErrorCode.INVALID_ASSIGNMENT, 2, "'Loss' is reserved and cannot be defined"],
+            [ErrorCode.INVALID_ASSIGNMENT, 3, "'PI' is reserved and cannot be defined"]
+        ]);
+    });
+
+    test('read-only variables are matched in any case, like constants', () => {
+        const parser = new ScriptParser('RTT = 1;\nTraffic = 2;\nrate = rtt;');
+        assert.equal(parser.compile(), null);
+        assert.deepEqual(parser.compileErrors.map(e => [e.code, e.span.line]), [
+            [ErrorCode.INVALID_ASSIGNMENT, 1],
+            [ErrorCode.INVALID_ASSIGNMENT, 2]
+        ]);
+    });
+
+    test('a script with syntax errors keeps the rate', () => {
+        const { rate, errors } = run('rate = ;', { rate: 0.3 });
+        assert.equal(rate, 0.3);
+        assert.equal(errors.length, 1);
+    });
+});
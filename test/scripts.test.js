@@ -0,0 +1,20 @@
+/**
+ * The built-in scripts. scripts/index.json lists them for the web app,
+ * which cannot read a directory over HTTP, so it must match the files.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+const SCRIPT_DIR = new URL('../scripts/', import.meta.url);
+
+describe('Built-in scripts', () => {
+    test('index.json lists every .cav file in scripts/ once', () => {
+        const listed = JSON.parse(readFileSync(new URL('index.json', SCRIPT_DIR), 'utf8'));
+        const files = readdirSync(SCRIPT_DIR).filter(name => name.endsWith('.cav'));
+
+        assert.equal(new Set(listed).size, listed.length, 'index.json lists a script twice');
+        assert.deepEqual([...listed].sort(), files.sort());
+    });
+});
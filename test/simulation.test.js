@@ -0,0 +1,99 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SimulationEngine } from '../js/simulation.js';
+import { ErrorCode } from '../js/errors.js';
+
+const AIMD = readFileSync(new URL('../scripts/aimd.cav', import.meta.url), 'utf8');
+
+/**
+ * Two senders running the same script
+ */
+function engineWith(script, { duration = 50, start = [0.1, 0.6] } = {}) {
+    const engine = new SimulationEngine(2);
+    engine.setScript(0, script);
+    engine.setScript(1, script);
+    engine.setDuration(duration);
+    engine.setStartRates(start);
+    return engine;
+}
+
+describe('SimulationEngine', () => {
+    test('records the start and one point per update event', () => {
+        const { trajectory, errors } = engineWith(AIMD, { duration: 10 }).runHeadless();
+
+        assert.deepEqual(errors, []);
+        assert.equal(trajectory.length, 11);
+        assert.deepEqual(trajectory[0].rates, [0.1, 0.6]);
+        assert.deepEqual(trajectory.map(point => point.time), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        assert.deepEqual(trajectory[1].updated, [0, 1]);
+    });
+
+    test('a sender updates once per RTT', () => {
+        const engine = engineWith(AIMD, { duration: 6 });
+        engine.setRTT(1, 2);
+        const { trajectory } = engine.runHeadless();
+
+        assert.deepEqual(trajectory.slice(1).map(point => point.updated), [[0], [0, 1], [0], [0, 1], [0], [0, 1]]);
+        assert.equal(trajectory[1].rates[1], 0.6);
+    });
+
+    test('AIMD moves toward the fair share', () => {
+        const { trajectory } = engineWith(AIMD, { duration: 300 }).runHeadless();
+        const unfairness = ({ rates }) => Math.abs(rates[0] - rates[1]);
+
+        const last = trajectory[trajectory.length - 1];
+        assert.ok(unfairness(last) < unfairness(trajectory[0]) / 5);
+        assert.ok(last.fairness > 0.95);
+    });
+
+    test('runs with the same seed repeat exactly', () => {
+        const run = () => {
+            const engine = engineWith(AIMD);
+            engine.setFeedback({ seed: 7, randomLoss: 0.1, noise: 0.05 });
+            engine.setRTTJitter(0.3);
+            return engine.runHeadless().trajectory.map(point => [point.time, ...point.rates]);
+        };
+        assert.deepEqual(run(), run());
+    });
+
+    test('random loss reaches AIMD through the loss signal', () => {
+        const rates = (feedback) => {
+            const engine = engineWith(AIMD, { duration: 30 });
+            engine.setFeedback({ seed: 3, ...feedback });
+            return engine.runHeadless().trajectory.map(point => point.rates);
+        };
+        const ideal = rates({});
+        const lossy = rates({ randomLoss: 0.5 });
+
+        assert.notDeepEqual(lossy, ideal);
+        assert.ok(lossy[30][0] + lossy[30][1] < ideal[30][0] + ideal[30][1]);
+    });
+
+    test('records dropped traffic per time unit, as scripts see it', () => {
+        // No buffer and constant rates: 0.2 above the capacity is dropped all the time
+        const engine = engineWith('d = dropped;\nrate = rate;', { duration: 6, start: [0.6, 0.6] });
+        engine.setRTT(0, 2);
+        engine.setRTT(1, 2);
+        engine.setDebug(true);
+        const { trajectory } = engine.runHeadless();
+
+        trajectory.slice(1).forEach(point => {
+            assert.ok(Math.abs(point.dropped - 0.2) < 1e-9, `dropped ${point.dropped} at time ${point.time}`);
+            point.debug.forEach(({ after }) => assert.ok(Math.abs(after.d - 0.2) < 1e-9));
+        });
+    });
+
+    test('collects script errors with the step they occurred at', () => {
+        const { errors } = engineWith('z = 0;\nrate = rate / z;', { duration: 2 }).runHeadless();
+
+        assert.equal(errors.length, 4);
+        assert.deepEqual(errors[0], {
+            step: 1,
+            time: 1,
+            code: ErrorCode.DIVISION_BY_ZERO,
+            message: 'Division by zero',
+            span: { start: 14, end: 22, line: 2, column: 8, endLine: 2, endColumn: 16 }
+        });
+    });
+});
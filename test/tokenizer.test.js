@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenType, Tokenizer } from '../js/tokenizer.js';
+import { ErrorCode } from '../js/errors.js';
+
+function tokenize(source) {
+    return new Tokenizer(source).tokenize();
+}
+
+function types(source) {
+    return tokenize(source).map(token => token.type);
+}
+
+describe('Tokenizer', () => {
+    test('splits an assignment into tokens', () => {
+        assert.deepEqual(types('rate = rate * 0.5;'), [
+            TokenType.NAME, TokenType.ASSIGN, TokenType.NAME, TokenType.OPERATOR,
+            TokenType.NUMBER, TokenType.SEMICOLON, TokenType.EOF
+        ]);
+    });
+
+    test('reads numbers with and without a leading digit', () => {
+        const values = tokenize('12 3.25 .5').filter(t => t.type === TokenType.NUMBER).map(t => t.value);
+        assert.deepEqual(values, [12, 3.25, 0.5]);
+    });
+
+    test('prefers two-character operators', () => {
+        const operators = tokenize('a <= b == c != d && e || f >= g').filter(t => t.type === TokenType.OPERATOR);
+        assert.deepEqual(operators.map(t => t.value), ['<=', '==', '!=', '&&', '||', '>=']);
+    });
+
+    test('tells = from ==', () => {
+        assert.deepEqual(types('x = y == 1'), [
+            TokenType.NAME, TokenType.ASSIGN, TokenType.NAME, TokenType.OPERATOR, TokenType.NUMBER, TokenType.EOF
+        ]);
+    });
+
+    test('lowercases keywords but keeps the case of names', () => {
+        const tokens = tokenize('IF Rate While');
+        assert.deepEqual(tokens.slice(0, 3).map(t => [t.type, t.value]), [
+            [TokenType.KEYWORD, 'if'], [TokenType.NAME, 'Rate'], [TokenType.KEYWORD, 'while']
+        ]);
+    });
+
+    test('reads # at the start of a line as a directive and elsewhere as a comment', () => {
+        const tokens = tokenize('#define_param a range 0 to 1\nx = 1; # note\n');
+        assert.equal(tokens[0].type, TokenType.PREPROCESSOR);
+        assert.equal(tokens[0].value, '#define_param a range 0 to 1');
+        assert.deepEqual(tokens.slice(1).map(t => t.type), [
+            TokenType.NAME, TokenType.ASSIGN, TokenType.NUMBER, TokenType.SEMICOLON, TokenType.EOF
+        ]);
+    });
+
+    test('records line, columns and offsets of every token', () => {
+        const source = 'x = 1;\n  rate = 20;';
+        const rate = tokenize(source).find(t => t.value === 'rate');
+        assert.equal(rate.line, 2);
+        assert.equal(rate.column, 3);
+        assert.equal(rate.endColumn, 7);
+        assert.equal(source.substring(rate.start, rate.end), 'rate');
+        assert.deepEqual(rate.span, { start: 9, end: 13, line: 2, column: 3, endLine: 2, endColumn: 7 });
+    });
+
+    test('reports unexpected characters and goes on', () => {
+        const tokenizer = new Tokenizer('x = 1 @ 2;\ny = $;');
+        const tokens = tokenizer.tokenize();
+
+        assert.deepEqual(tokenizer.errors.map(e => [e.code, e.message, e.span.line, e.span.column]), [
+            [ErrorCode.UNEXPECTED_CHARACTER, "Unexpected character '@'", 1, 7],
+            [ErrorCode.UNEXPECTED_CHARACTER, "Unexpected character '$'", 2, 5]
+        ]);
+        assert.equal(tokens.filter(t => t.type === TokenType.SEMICOLON).length, 2);
+    });
+});
@@ -0,0 +1,21 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectFairnessEfficiency } from '../js/visualization.js';
+
+describe('projectFairnessEfficiency', () => {
+    test('plots the total load against the Jain index', () => {
+        assert.deepEqual(projectFairnessEfficiency([0.25, 0.25, 0.25, 0.25]), { x: 1, y: 1 });
+        assert.deepEqual(projectFairnessEfficiency([0.6, 0, 0]), { x: 0.6, y: 1 / 3 });
+    });
+
+    test('fairness falls as the flows drift apart', () => {
+        const fair = projectFairnessEfficiency([0.5, 0.5]).y;
+        const unfair = projectFairnessEfficiency([0.3, 0.7]).y;
+        const worse = projectFairnessEfficiency([0.1, 0.9]).y;
+        assert.ok(fair > unfair && unfair > worse);
+    });
+
+    test('measures fairness against the weighted shares', () => {
+        assert.equal(projectFairnessEfficiency([0.25, 0.5], [1, 2]).y, 1);
+    });
+});